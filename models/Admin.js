@@ -0,0 +1,35 @@
+// Admin account schema with bcrypt-hashed passwords and role-based access
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ADMIN_ROLES = ['owner', 'content-editor', 'finance', 'support'];
+
+const adminSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, default: '' },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, default: 'support' },
+  is_active: { type: Boolean, default: true },
+  last_login: { type: Date },
+}, { timestamps: true });
+
+adminSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 10);
+};
+
+adminSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password || '', this.passwordHash);
+};
+
+// Never leak the hash through transformDoc()/toJSON.
+adminSchema.set('toObject', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  },
+});
+
+const Admin = mongoose.model('Admin', adminSchema);
+
+module.exports = Admin;
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
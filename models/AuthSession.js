@@ -0,0 +1,27 @@
+// App login sessions. Each device-login opens one; it holds the hash of the
+// session's current refresh token, which is replaced on every refresh. Access
+// tokens name their session (sid) and stop working once it is revoked.
+const mongoose = require('mongoose');
+
+const authSessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  installationId: { type: String },
+  refreshTokenHash: { type: String, required: true },
+  // The token it replaced; presenting that again means the refresh token was
+  // copied, and the session is revoked.
+  previousRefreshTokenHash: { type: String },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  // 'logout', 'reuse', 'admin', 'user-deleted', 'downgraded' or 'restored'.
+  revokeReason: { type: String },
+  ip: { type: String },
+  userAgent: { type: String },
+}, { timestamps: true });
+
+// Expired sessions are removed a week after they lapse.
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+
+module.exports = AuthSession;
@@ -1 +1,21 @@
-// Banner schema
+// Banner schema: vertical/horizontal promo art that deep-links to a channel, content item or series
+const mongoose = require('mongoose');
+
+const BANNER_ACTION_TYPES = ['channel', 'content', 'series'];
+
+const bannerSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  subtitle: { type: String, default: '' },
+  imageUrl: { type: String, required: true },
+  actionType: { type: String, enum: BANNER_ACTION_TYPES, required: true },
+  // channelId / contentId / seriesId of the target, not its Mongo _id.
+  actionValue: { type: String, required: true },
+  isVertical: { type: Boolean, default: true },
+  isActive: { type: Boolean, default: true },
+  position: { type: Number, default: 999 },
+}, { timestamps: true });
+
+const Banner = mongoose.model('Banner', bannerSchema);
+
+module.exports = Banner;
+module.exports.BANNER_ACTION_TYPES = BANNER_ACTION_TYPES;
@@ -0,0 +1,18 @@
+// Main category schema (Sports, Movies, Series, ...). SubCategory.parentCategory points at `key`.
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  // Channels, contents and series store this name in their mainCategory field.
+  name: { type: String, required: true, unique: true },
+  iconUrl: { type: String, default: '' },
+  order: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  // Default entitlement for channels in this category (see services/entitlements.js).
+  access: { type: String, enum: ['free', 'premium', 'bundle'], default: 'premium' },
+  bundles: { type: [String], default: [] },
+}, { timestamps: true });
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
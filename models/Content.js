@@ -1 +1,34 @@
 // Content schema with DRM, headers, UA, referrer, origin
+const mongoose = require('mongoose');
+
+const CONTENT_TYPES = ['movie', 'clip'];
+
+const contentSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  contentId: { type: String, required: true, unique: true },
+  type: { type: String, enum: CONTENT_TYPES, default: 'movie' },
+  streamUrl: { type: String, required: true },
+  streamUrlLowQuality: { type: String },
+  drm: {
+    enabled: { type: Boolean, default: false },
+    provider: { type: String, enum: ['clearkey', 'none', 'widevine', 'playready'], default: 'none' },
+    key: { type: String, default: '' },
+    licenseServer: { type: String, default: '' },
+  },
+  playbackHeaders: { type: Map, of: String, default: {} },
+  mainCategory: { type: String, required: true, default: 'General' },
+  subCategory: { type: String, required: true, default: 'Uncategorized' },
+  description: { type: String, default: '' },
+  posterUrl: { type: String, default: '' },
+  durationSeconds: { type: Number, default: 0 },
+  releaseDate: { type: Date },
+  status: { type: Boolean, default: true },
+  tag: { type: String, default: '' },
+  position: { type: Number, default: 999 },
+  viewCount: { type: Number, default: 0, index: -1 },
+}, { timestamps: true });
+
+const Content = mongoose.model('Content', contentSchema);
+
+module.exports = Content;
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
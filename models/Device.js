@@ -0,0 +1,19 @@
+// Registered devices per user account. A device is one app installation; the
+// number of devices an account may use is capped by its plan (see
+// services/streamLimits.js).
+const mongoose = require('mongoose');
+
+const deviceSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  installationId: { type: String, required: true },
+  deviceId: { type: String },
+  name: { type: String, default: '' },
+  platform: { type: String, default: '' },
+  lastSeenAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+deviceSchema.index({ user: 1, installationId: 1 }, { unique: true });
+
+const Device = mongoose.model('Device', deviceSchema);
+
+module.exports = Device;
@@ -0,0 +1,22 @@
+// Per-device result of sending a notification. Kept for 90 days.
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['delivered', 'failed', 'invalid'];
+
+const notificationDeliverySchema = new mongoose.Schema({
+  notification: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  token: { type: String, required: true },
+  platform: { type: String },
+  // 'invalid': the token was rejected as unregistered and has been pruned.
+  status: { type: String, enum: DELIVERY_STATUSES, required: true },
+  error: { type: String, default: '' },
+}, { timestamps: true });
+
+notificationDeliverySchema.index({ notification: 1, status: 1, token: 1 });
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+module.exports = NotificationDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,24 @@
+// One-time codes sent by SMS. Only an HMAC of the code is stored; challenges
+// are removed by MongoDB shortly after they expire.
+const mongoose = require('mongoose');
+
+const OTP_PURPOSES = ['restore'];
+
+const otpChallengeSchema = new mongoose.Schema({
+  // 255XXXXXXXXX
+  phoneNumber: { type: String, required: true, index: true },
+  purpose: { type: String, enum: OTP_PURPOSES, required: true },
+  // User (installation) that asked for the code; only it can verify it.
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date },
+}, { timestamps: true });
+
+otpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+module.exports = OtpChallenge;
+module.exports.OTP_PURPOSES = OTP_PURPOSES;
@@ -0,0 +1,35 @@
+// Subscription plan schema. Replaces the old `subscription_packages` JSON setting.
+// Transactions keep a planId plus a price/duration snapshot, so editing or
+// renaming a plan never changes what a pending order pays for.
+const mongoose = require('mongoose');
+
+const planSchema = new mongoose.Schema({
+  // Stable id used by clients and transactions; never changes after creation.
+  planId: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  // Localized display names keyed by language code, e.g. { en: '1 Day', sw: 'Siku 1' }.
+  names: { type: Map, of: String, default: {} },
+  price: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'TZS' },
+  durationDays: { type: Number, required: true, min: 1 },
+  // Bundles this plan unlocks, e.g. ['sports']. Empty means the full premium
+  // pass: every premium and bundle channel.
+  bundles: { type: [String], default: [] },
+  // Payment provider for this plan; empty picks one by phone prefix / default.
+  provider: { type: String, default: '' },
+  // Registered devices and concurrent streams allowed; 0 is unlimited, unset
+  // (null) uses the server default.
+  maxDevices: { type: Number, min: 0 },
+  maxStreams: { type: Number, min: 0 },
+  isActive: { type: Boolean, default: true },
+  order: { type: Number, default: 0 },
+}, { timestamps: true });
+
+/** Display name for a language, falling back to the default name. */
+planSchema.methods.displayName = function displayName(lang) {
+  return (lang && this.names?.get(lang)) || this.name;
+};
+
+const Plan = mongoose.model('Plan', planSchema);
+
+module.exports = Plan;
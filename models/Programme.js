@@ -0,0 +1,20 @@
+// EPG programme schema, ingested from XMLTV and keyed by our channelId
+const mongoose = require('mongoose');
+
+const programmeSchema = new mongoose.Schema({
+  channelId: { type: String, required: true },
+  start: { type: Date, required: true },
+  stop: { type: Date, required: true },
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  category: { type: String, default: '' },
+  iconUrl: { type: String, default: '' },
+  source: { type: String, default: '' },
+}, { timestamps: true });
+
+programmeSchema.index({ channelId: 1, start: 1 });
+programmeSchema.index({ stop: 1 });
+
+const Programme = mongoose.model('Programme', programmeSchema);
+
+module.exports = Programme;
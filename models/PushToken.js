@@ -0,0 +1,18 @@
+// Push registration tokens (FCM) reported by the app. A token belongs to one
+// user at a time; tokens the push service reports as unregistered are deleted.
+const mongoose = require('mongoose');
+
+const PUSH_PLATFORMS = ['android', 'ios', 'web'];
+
+const pushTokenSchema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  installationId: { type: String },
+  platform: { type: String, enum: PUSH_PLATFORMS, default: 'android' },
+  lastSeenAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+const PushToken = mongoose.model('PushToken', pushTokenSchema);
+
+module.exports = PushToken;
+module.exports.PUSH_PLATFORMS = PUSH_PLATFORMS;
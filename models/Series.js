@@ -0,0 +1,67 @@
+// Series schema: ordered seasons, each with ordered episodes carrying their own stream and DRM
+const mongoose = require('mongoose');
+
+const episodeSchema = new mongoose.Schema({
+  episodeId: { type: String, required: true },
+  episodeNumber: { type: Number, required: true },
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  thumbnailUrl: { type: String, default: '' },
+  streamUrl: { type: String, required: true },
+  streamUrlLowQuality: { type: String },
+  drm: {
+    enabled: { type: Boolean, default: false },
+    provider: { type: String, enum: ['clearkey', 'none', 'widevine', 'playready'], default: 'none' },
+    key: { type: String, default: '' },
+    licenseServer: { type: String, default: '' },
+  },
+  playbackHeaders: { type: Map, of: String, default: {} },
+  durationSeconds: { type: Number, default: 0 },
+  releaseDate: { type: Date, default: Date.now },
+  status: { type: Boolean, default: true },
+}, { _id: false });
+
+const seasonSchema = new mongoose.Schema({
+  seasonNumber: { type: Number, required: true },
+  title: { type: String, default: '' },
+  episodes: { type: [episodeSchema], default: [] },
+}, { _id: false });
+
+const seriesSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  seriesId: { type: String, required: true, unique: true },
+  description: { type: String, default: '' },
+  posterUrl: { type: String, default: '' },
+  mainCategory: { type: String, required: true, default: 'Series' },
+  subCategory: { type: String, required: true, default: 'All' },
+  status: { type: Boolean, default: true },
+  tag: { type: String, default: '' },
+  position: { type: Number, default: 999 },
+  seasons: { type: [seasonSchema], default: [] },
+}, { timestamps: true });
+
+seriesSchema.index({ 'seasons.episodes.releaseDate': -1 });
+
+// Keep seasons and episodes in playback order no matter how they were added.
+seriesSchema.pre('save', function (next) {
+  this.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
+  this.seasons.forEach(season => season.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber));
+  next();
+});
+
+// Flattened, ordered list of { season, episode } pairs.
+seriesSchema.methods.episodeList = function () {
+  const list = [];
+  for (const season of this.seasons) {
+    for (const episode of season.episodes) list.push({ season, episode });
+  }
+  return list;
+};
+
+seriesSchema.methods.findEpisode = function (episodeId) {
+  return this.episodeList().find(({ episode }) => episode.episodeId === episodeId) || null;
+};
+
+const Series = mongoose.model('Series', seriesSchema);
+
+module.exports = Series;
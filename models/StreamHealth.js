@@ -0,0 +1,32 @@
+// Stream health schema: latest probe result and recent history per channel
+const mongoose = require('mongoose');
+
+const HEALTH_STATUSES = ['unknown', 'healthy', 'degraded', 'down'];
+
+const probeResultSchema = new mongoose.Schema({
+  checkedAt: { type: Date, default: Date.now },
+  ok: { type: Boolean, required: true },
+  latencyMs: { type: Number },
+  httpStatus: { type: Number },
+  format: { type: String, default: '' },
+  segmentsChecked: { type: Number, default: 0 },
+  error: { type: String, default: '' },
+}, { _id: false });
+
+const streamHealthSchema = new mongoose.Schema({
+  channelId: { type: String, required: true, unique: true },
+  status: { type: String, enum: HEALTH_STATUSES, default: 'unknown' },
+  consecutiveFailures: { type: Number, default: 0 },
+  // True while the public endpoints serve playbackUrlLowQuality instead of the primary source.
+  failoverActive: { type: Boolean, default: false },
+  lastCheckedAt: { type: Date },
+  lastSuccessAt: { type: Date },
+  lastLatencyMs: { type: Number },
+  lastError: { type: String, default: '' },
+  history: { type: [probeResultSchema], default: [] },
+}, { timestamps: true });
+
+const StreamHealth = mongoose.model('StreamHealth', streamHealthSchema);
+
+module.exports = StreamHealth;
+module.exports.HEALTH_STATUSES = HEALTH_STATUSES;
@@ -0,0 +1,31 @@
+// Concurrent stream tracking. A session is opened by the channel, content or
+// episode playback-session endpoint and kept alive by client heartbeats; one
+// without a heartbeat for STREAM_SESSION_TIMEOUT_SECONDS no longer counts as
+// active.
+const mongoose = require('mongoose');
+
+const streamSessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  installationId: { type: String, required: true },
+  // What is being watched; episodes are "<seriesId>/<episodeId>". channelId
+  // is kept for channel sessions.
+  resourceType: { type: String, enum: ['channel', 'content', 'episode'], default: 'channel' },
+  resourceId: { type: String },
+  channelId: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  lastHeartbeatAt: { type: Date, default: Date.now },
+  endedAt: { type: Date },
+  // 'stopped' by the client, 'replaced' by a newer session on the same device,
+  // 'timeout' (heartbeats stopped), 'device-removed', or 'admin'.
+  endReason: { type: String },
+  ip: { type: String },
+  userAgent: { type: String },
+}, { timestamps: true });
+
+streamSessionSchema.index({ user: 1, endedAt: 1, lastHeartbeatAt: -1 });
+// Ended sessions are only kept for a month.
+streamSessionSchema.index({ endedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const StreamSession = mongoose.model('StreamSession', streamSessionSchema);
+
+module.exports = StreamSession;
@@ -1 +1,20 @@
 // SubCategory schema
+const mongoose = require('mongoose');
+
+const subCategorySchema = new mongoose.Schema({
+  // Category.key of the parent main category.
+  parentCategory: { type: String, required: true },
+  key: { type: String, required: true },
+  // Channels, contents and series store this name in their subCategory field.
+  name: { type: String, required: true },
+  iconUrl: { type: String, default: '' },
+  order: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+
+subCategorySchema.index({ parentCategory: 1, key: 1 }, { unique: true });
+subCategorySchema.index({ parentCategory: 1, name: 1 }, { unique: true });
+
+const SubCategory = mongoose.model('SubCategory', subCategorySchema);
+
+module.exports = SubCategory;
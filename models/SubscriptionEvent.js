@@ -0,0 +1,26 @@
+// Subscription lifecycle log. The expiry job writes one 'expired' event per
+// lapsed pass (the full premium pass, or one per bundle) so churn can be
+// reported on after the user record itself has been downgraded. A purchase
+// restored onto a new installation is logged as 'restored'.
+const mongoose = require('mongoose');
+
+const SUBSCRIPTION_EVENT_TYPES = ['expired', 'restored'];
+
+const subscriptionEventSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: SUBSCRIPTION_EVENT_TYPES, required: true },
+  // Empty for the full premium pass, otherwise the bundle name.
+  bundle: { type: String, default: '' },
+  // When the pass ended; missing for old premium flags that never had an end date.
+  endedAt: { type: Date },
+  phoneNumber: { type: String },
+  // 'restored': the account the subscription was moved from.
+  fromUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+subscriptionEventSchema.index({ type: 1, createdAt: -1 });
+
+const SubscriptionEvent = mongoose.model('SubscriptionEvent', subscriptionEventSchema);
+
+module.exports = SubscriptionEvent;
+module.exports.SUBSCRIPTION_EVENT_TYPES = SUBSCRIPTION_EVENT_TYPES;
@@ -0,0 +1,17 @@
+// Voucher code schema. Codes are stored upper-case without separators; the
+// batch holds everything else about what the code is worth.
+const mongoose = require('mongoose');
+
+const voucherSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'VoucherBatch', required: true, index: true },
+  // Copied from the batch so a redemption can be claimed in one atomic update.
+  maxUses: { type: Number, default: 1 },
+  uses: { type: Number, default: 0 },
+  redeemedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  lastRedeemedAt: { type: Date },
+}, { timestamps: true });
+
+const Voucher = mongoose.model('Voucher', voucherSchema);
+
+module.exports = Voucher;
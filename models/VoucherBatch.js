@@ -0,0 +1,25 @@
+// Voucher batch schema. A batch is one print run of scratch-card codes that
+// share a value, an expiry date and a per-code use limit. The value is
+// snapshotted from the plan (or the number of days) when the batch is created.
+const mongoose = require('mongoose');
+
+const voucherBatchSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Set when the batch was created from a plan; durationDays/bundles hold its snapshot.
+  planId: { type: String, default: '' },
+  durationDays: { type: Number, required: true, min: 1 },
+  // Empty means the full premium pass, same as Plan.bundles.
+  bundles: { type: [String], default: [] },
+  quantity: { type: Number, required: true, min: 1 },
+  // Redemptions allowed per code (by different users).
+  maxUses: { type: Number, default: 1, min: 1 },
+  expiresAt: { type: Date },
+  // Optional phone lock: only a user with this number can redeem the codes.
+  phoneNumber: { type: String, default: '' },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+}, { timestamps: true });
+
+const VoucherBatch = mongoose.model('VoucherBatch', voucherBatchSchema);
+
+module.exports = VoucherBatch;
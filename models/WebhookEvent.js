@@ -0,0 +1,34 @@
+// Raw payment webhook log: every delivery is stored with its payload, headers
+// and processing result so failures can be inspected and replayed. Deliveries
+// that fail verification can come from anyone, so they are stored clipped and
+// expire after WEBHOOK_REJECTED_RETENTION_DAYS.
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENT_STATUSES = ['received', 'processed', 'ignored', 'failed', 'rejected'];
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  // 'webhook' for gateway deliveries, 'reconciler' for statuses we fetched or timed out ourselves.
+  source: { type: String, enum: ['webhook', 'reconciler'], default: 'webhook' },
+  orderId: { type: String, index: true },
+  paymentStatus: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  // Secrets (API keys, auth headers) are redacted before saving.
+  headers: { type: mongoose.Schema.Types.Mixed },
+  verified: { type: Boolean, default: false },
+  status: { type: String, enum: WEBHOOK_EVENT_STATUSES, default: 'received', index: true },
+  result: { type: String, default: '' },
+  error: { type: String, default: '' },
+  attempts: { type: Number, default: 0 },
+  processedAt: { type: Date },
+  replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  // Only set on rejected events; the TTL index removes them at this time.
+  expiresAt: { type: Date },
+}, { timestamps: true });
+
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
+module.exports.WEBHOOK_EVENT_STATUSES = WEBHOOK_EVENT_STATUSES;
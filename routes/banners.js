@@ -1 +1,172 @@
 // Banners routes
+// Admin CRUD validates that the deep-link target exists; the public feed
+// resolves each target's metadata and hides banners whose target is missing
+// or disabled (status: false).
+const express = require('express');
+const Joi = require('joi');
+const Banner = require('../models/Banner');
+const { BANNER_ACTION_TYPES } = require('../models/Banner');
+const Content = require('../models/Content');
+const Series = require('../models/Series');
+
+const bannerValidationSchema = Joi.object({
+  title: Joi.string().required(),
+  subtitle: Joi.string().allow(''),
+  imageUrl: Joi.string().required(),
+  actionType: Joi.string().valid(...BANNER_ACTION_TYPES).required(),
+  actionValue: Joi.string().required(),
+  isVertical: Joi.boolean(),
+  isActive: Joi.boolean(),
+  position: Joi.number(),
+});
+
+module.exports = function bannersRoutes({ Channel, requireAdmin, transformDoc, transformArray }) {
+  const router = express.Router();
+
+  // Per action type: how to look a target up and what the app needs to open it.
+  const targets = {
+    channel: {
+      model: Channel,
+      key: 'channelId',
+      select: 'channelId name thumbnailUrl mainCategory subCategory status',
+      describe: c => ({ channelId: c.channelId, name: c.name, thumbnailUrl: c.thumbnailUrl, mainCategory: c.mainCategory, subCategory: c.subCategory }),
+    },
+    content: {
+      model: Content,
+      key: 'contentId',
+      select: 'contentId title type posterUrl mainCategory subCategory status',
+      describe: c => ({ contentId: c.contentId, title: c.title, type: c.type, posterUrl: c.posterUrl, mainCategory: c.mainCategory, subCategory: c.subCategory }),
+    },
+    series: {
+      model: Series,
+      key: 'seriesId',
+      select: 'seriesId title posterUrl mainCategory subCategory status',
+      describe: s => ({ seriesId: s.seriesId, title: s.title, posterUrl: s.posterUrl, mainCategory: s.mainCategory, subCategory: s.subCategory }),
+    },
+  };
+
+  async function targetExists(actionType, actionValue) {
+    const { model, key } = targets[actionType];
+    return Boolean(await model.exists({ [key]: actionValue }));
+  }
+
+  // Batch-loads every banner's target with one query per action type.
+  async function resolveTargets(banners) {
+    const lookups = {};
+    for (const type of BANNER_ACTION_TYPES) {
+      const ids = banners.filter(b => b.actionType === type).map(b => b.actionValue);
+      if (ids.length === 0) {
+        lookups[type] = new Map();
+        continue;
+      }
+      const { model, key, select } = targets[type];
+      const docs = await model.find({ [key]: { $in: ids } }).select(select).lean();
+      lookups[type] = new Map(docs.map(d => [d[key], d]));
+    }
+    return lookups;
+  }
+
+  async function validateBanner(body) {
+    const { error } = bannerValidationSchema.validate(body);
+    if (error) return error.details[0].message;
+    if (!(await targetExists(body.actionType, body.actionValue))) {
+      return `Target ${body.actionType} "${body.actionValue}" does not exist`;
+    }
+    return null;
+  }
+
+  // --- Admin ---------------------------------------------------------------
+  router.get('/api/banners', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const banners = await Banner.find({}).sort({ position: 1, createdAt: -1 }).lean();
+      const lookups = await resolveTargets(banners);
+      const result = transformArray(banners).map(b => {
+        const target = lookups[b.actionType].get(b.actionValue);
+        return { ...b, targetFound: Boolean(target), targetActive: Boolean(target?.status) };
+      });
+      res.json({ banners: result });
+    } catch (error) {
+      console.error('Failed to fetch banners:', error);
+      res.status(500).json({ error: 'Failed to fetch banners' });
+    }
+  });
+
+  router.post('/api/banners', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const validationError = await validateBanner(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const newBanner = new Banner(req.body);
+      await newBanner.save();
+      res.status(201).json({ message: 'Banner created successfully', banner: transformDoc(newBanner) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to create banner' });
+    }
+  });
+
+  router.put('/api/banners/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const validationError = await validateBanner(req.body);
+      if (validationError) return res.status(400).json({ error: validationError });
+
+      const updatedBanner = await Banner.findByIdAndUpdate(req.params.id, req.body, { new: true });
+      if (!updatedBanner) return res.status(404).json({ error: 'Banner not found' });
+      res.json({ message: 'Banner updated successfully', banner: transformDoc(updatedBanner) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to update banner' });
+    }
+  });
+
+  router.delete('/api/banners/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const deletedBanner = await Banner.findByIdAndDelete(req.params.id);
+      if (!deletedBanner) return res.status(404).json({ error: 'Banner not found' });
+      res.json({ message: 'Banner deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete banner' });
+    }
+  });
+
+  router.post('/api/banners/:id/toggle', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const banner = await Banner.findById(req.params.id);
+      if (!banner) return res.status(404).json({ error: 'Banner not found' });
+      banner.isActive = !banner.isActive;
+      await banner.save();
+      res.json({ message: 'Banner status toggled successfully', banner: transformDoc(banner) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to toggle banner status' });
+    }
+  });
+
+  // --- Public --------------------------------------------------------------
+  // ?layout=vertical|horizontal narrows the feed to one layout.
+  router.get('/api/public/banners', async (req, res) => {
+    try {
+      const query = { isActive: true };
+      if (req.query.layout === 'vertical') query.isVertical = true;
+      if (req.query.layout === 'horizontal') query.isVertical = false;
+
+      const banners = await Banner.find(query).sort({ position: 1, createdAt: -1 }).lean();
+      const lookups = await resolveTargets(banners);
+
+      const visible = [];
+      for (const banner of transformArray(banners)) {
+        const target = lookups[banner.actionType].get(banner.actionValue);
+        if (!target || !target.status) continue;
+        visible.push({
+          ...banner,
+          layout: banner.isVertical ? 'vertical' : 'horizontal',
+          target: targets[banner.actionType].describe(target),
+        });
+      }
+
+      res.json({ banners: visible });
+    } catch (error) {
+      console.error('Failed to fetch public banners:', error);
+      res.status(500).json({ error: 'Failed to fetch public banners' });
+    }
+  });
+
+  return router;
+};
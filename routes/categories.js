@@ -0,0 +1,168 @@
+// Categories routes
+// Admin CRUD for main categories and the public ordered category tree with
+// channel counts. Channels, contents and series reference categories by name,
+// so renaming a category cascades the new name to every item that uses it.
+const express = require('express');
+const Joi = require('joi');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Content = require('../models/Content');
+const Series = require('../models/Series');
+const { ACCESS_LEVELS } = require('../services/entitlements');
+
+const categoryValidationSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9_]+$/).required(),
+  name: Joi.string().required(),
+  iconUrl: Joi.string().allow(''),
+  order: Joi.number(),
+  isActive: Joi.boolean(),
+  access: Joi.string().valid(...ACCESS_LEVELS),
+  bundles: Joi.array().items(Joi.string()).when('access', { is: 'bundle', then: Joi.array().min(1) }),
+});
+
+const reorderValidationSchema = Joi.object({
+  ids: Joi.array().items(Joi.string()).min(1).required(),
+});
+
+module.exports = function categoriesRoutes({ Channel, requireAdmin, transformDoc, transformArray }) {
+  const router = express.Router();
+  const catalogueModels = [Channel, Content, Series];
+
+  // --- Admin ---------------------------------------------------------------
+  router.get('/api/categories', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const categories = await Category.find({}).sort({ order: 1, name: 1 });
+      res.json({ categories: transformArray(categories) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+  });
+
+  router.post('/api/categories', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = categoryValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      if (req.body.order === undefined) {
+        const last = await Category.findOne({}).sort({ order: -1 });
+        req.body.order = (last?.order ?? -1) + 1;
+      }
+
+      const newCategory = new Category(req.body);
+      await newCategory.save();
+      res.status(201).json({ message: 'Category created successfully', category: transformDoc(newCategory) });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Category key or name already exists' });
+      res.status(500).json({ error: 'Failed to create category' });
+    }
+  });
+
+  router.post('/api/categories/reorder', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = reorderValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      await Category.bulkWrite(req.body.ids.map((id, order) => ({
+        updateOne: { filter: { _id: id }, update: { order } },
+      })));
+      res.json({ message: 'Categories reordered successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to reorder categories' });
+    }
+  });
+
+  router.put('/api/categories/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = categoryValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const category = await Category.findById(req.params.id);
+      if (!category) return res.status(404).json({ error: 'Category not found' });
+
+      const { name: oldName, key: oldKey } = category;
+      category.set(req.body);
+      await category.save();
+
+      let updatedItems = 0;
+      if (category.name !== oldName) {
+        for (const model of catalogueModels) {
+          const result = await model.updateMany({ mainCategory: oldName }, { mainCategory: category.name });
+          updatedItems += result.modifiedCount;
+        }
+      }
+      if (category.key !== oldKey) {
+        await SubCategory.updateMany({ parentCategory: oldKey }, { parentCategory: category.key });
+      }
+
+      res.json({ message: 'Category updated successfully', category: transformDoc(category), updatedItems });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Category key or name already exists' });
+      res.status(500).json({ error: 'Failed to update category' });
+    }
+  });
+
+  router.delete('/api/categories/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const category = await Category.findById(req.params.id);
+      if (!category) return res.status(404).json({ error: 'Category not found' });
+
+      // Same models as the rename cascade, so no content or series is orphaned.
+      const counts = await Promise.all(catalogueModels.map(model => model.countDocuments({ mainCategory: category.name })));
+      const inUse = counts.reduce((sum, count) => sum + count, 0);
+      if (inUse > 0) {
+        return res.status(409).json({ error: `Category is used by ${inUse} item(s) (channels, contents or series). Move them first.` });
+      }
+
+      await SubCategory.deleteMany({ parentCategory: category.key });
+      await category.deleteOne();
+      res.json({ message: 'Category deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete category' });
+    }
+  });
+
+  // --- Public --------------------------------------------------------------
+  router.get('/api/public/categories', async (req, res) => {
+    try {
+      const [categories, subCategories, counts] = await Promise.all([
+        // $ne: false also matches rows written by seed.js without the flag.
+        Category.find({ isActive: { $ne: false } }).sort({ order: 1, name: 1 }).lean(),
+        SubCategory.find({ isActive: { $ne: false } }).sort({ order: 1, name: 1 }).lean(),
+        Channel.aggregate([
+          { $match: { status: true } },
+          { $group: { _id: { main: '$mainCategory', sub: '$subCategory' }, count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const countFor = (main, sub) => counts
+        .filter(c => c._id.main === main && (sub === undefined || c._id.sub === sub))
+        .reduce((sum, c) => sum + c.count, 0);
+
+      const tree = categories.map(category => ({
+        key: category.key,
+        name: category.name,
+        iconUrl: category.iconUrl,
+        order: category.order,
+        access: category.access || 'premium',
+        bundles: category.bundles || [],
+        channelCount: countFor(category.name),
+        subCategories: subCategories
+          .filter(sub => sub.parentCategory === category.key)
+          .map(sub => ({
+            key: sub.key,
+            name: sub.name,
+            iconUrl: sub.iconUrl,
+            order: sub.order,
+            channelCount: countFor(category.name, sub.name),
+          })),
+      }));
+
+      res.json({ categories: tree });
+    } catch (error) {
+      console.error('Failed to fetch public categories:', error);
+      res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+  });
+
+  return router;
+};
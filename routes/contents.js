@@ -1 +1,215 @@
 // Contents routes
+// Admin CRUD for the VOD catalogue (movies, clips) plus the public listing and
+// detail endpoints. These mirror the channel routes in server.js: same
+// mainCategory/subCategory filters, same DRM block, paywall on detail and
+// playback sessions (stream sessions, signed play URLs) with the
+// forceLowQuality fallback.
+const express = require('express');
+const Joi = require('joi');
+const Content = require('../models/Content');
+const { CONTENT_TYPES } = require('../models/Content');
+
+const contentValidationSchema = Joi.object({
+  title: Joi.string().required(),
+  contentId: Joi.string().required(),
+  type: Joi.string().valid(...CONTENT_TYPES),
+  streamUrl: Joi.string().uri().required(),
+  streamUrlLowQuality: Joi.string().uri().allow(''),
+  drm: Joi.object({
+    enabled: Joi.boolean(),
+    provider: Joi.string().valid('clearkey', 'none', 'widevine', 'playready'),
+    key: Joi.string().allow(''),
+    licenseServer: Joi.string().uri().allow(''),
+  }),
+  playbackHeaders: Joi.object().pattern(Joi.string(), Joi.string()),
+  mainCategory: Joi.string().required(),
+  subCategory: Joi.string().required(),
+  description: Joi.string().allow(''),
+  posterUrl: Joi.string().allow(''),
+  durationSeconds: Joi.number().min(0),
+  releaseDate: Joi.date().iso().allow(null),
+  status: Joi.boolean(),
+  tag: Joi.string().allow(''),
+  position: Joi.number(),
+}).unknown(true);
+
+module.exports = function contentsRoutes({ requireAdmin, enforcePaywall, getSetting, playback, streamProxy, openStreamSession, transformDoc, transformArray }) {
+  const router = express.Router();
+
+  async function shouldUseLowQuality(content) {
+    if (!content.streamUrlLowQuality) return false;
+    return (await getSetting('forceLowQuality', 'false')) === 'true';
+  }
+
+  // --- Admin ---------------------------------------------------------------
+  router.get('/api/contents', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { search, mainCategory, subCategory, type } = req.query;
+      const query = {};
+
+      if (search) query.title = { $regex: search, $options: 'i' };
+      if (mainCategory) query.mainCategory = mainCategory;
+      if (subCategory) query.subCategory = subCategory;
+      if (type) query.type = type;
+
+      const contents = await Content.find(query).sort({ position: 1, createdAt: -1 });
+      res.json({ contents: transformArray(contents) });
+    } catch (error) {
+      console.error('Failed to fetch contents:', error);
+      res.status(500).json({ error: 'Failed to fetch contents' });
+    }
+  });
+
+  router.get('/api/contents/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const content = await Content.findById(req.params.id);
+      if (!content) return res.status(404).json({ error: 'Content not found' });
+      res.json({ content: transformDoc(content) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch content' });
+    }
+  });
+
+  router.post('/api/contents', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = contentValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      const newContent = new Content(req.body);
+      await newContent.save();
+      res.status(201).json({ message: 'Content created successfully', content: transformDoc(newContent) });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Content ID already exists' });
+      res.status(500).json({ error: 'Failed to create content' });
+    }
+  });
+
+  router.put('/api/contents/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = contentValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      const updatedContent = await Content.findByIdAndUpdate(req.params.id, req.body, { new: true });
+      if (!updatedContent) return res.status(404).json({ error: 'Content not found' });
+      res.json({ message: 'Content updated successfully', content: transformDoc(updatedContent) });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Content ID already exists' });
+      res.status(500).json({ error: 'Failed to update content' });
+    }
+  });
+
+  router.delete('/api/contents/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const deletedContent = await Content.findByIdAndDelete(req.params.id);
+      if (!deletedContent) return res.status(404).json({ error: 'Content not found' });
+      res.json({ message: 'Content deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete content' });
+    }
+  });
+
+  router.post('/api/contents/:id/toggle', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const content = await Content.findById(req.params.id);
+      if (!content) return res.status(404).json({ error: 'Content not found' });
+      content.status = !content.status;
+      await content.save();
+      res.json({ message: 'Content status toggled successfully', content: transformDoc(content) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to toggle content status' });
+    }
+  });
+
+  // --- Public --------------------------------------------------------------
+  router.get('/api/public/contents', async (req, res) => {
+    try {
+      const { mainCategory, subCategory, type } = req.query;
+      const query = { status: true };
+
+      if (mainCategory) query.mainCategory = mainCategory;
+      if (subCategory) query.subCategory = subCategory;
+      if (type) query.type = type;
+
+      // Stream locations are only returned by the paywalled detail endpoint.
+      const contents = await Content.find(query)
+        .select('-streamUrl -streamUrlLowQuality -playbackHeaders')
+        .sort({ position: 1, createdAt: -1 })
+        .lean();
+      contents.forEach(content => { content.drm = playback.publicDrm(req, content.drm); });
+
+      res.json({ contents: transformArray(contents) });
+    } catch (error) {
+      console.error('Failed to fetch public contents:', error);
+      res.status(500).json({ error: 'Failed to fetch public contents' });
+    }
+  });
+
+  // Details only; the stream URL and DRM playback token come from a playback
+  // session so every stream counts against the viewer's limits.
+  router.get('/api/public/contents/:contentId', enforcePaywall, async (req, res) => {
+    try {
+      const content = await Content.findOne({
+        contentId: req.params.contentId,
+        status: true
+      }).select('-streamUrl -streamUrlLowQuality -playbackHeaders').lean();
+
+      if (!content) return res.status(404).json({ error: 'Content not found' });
+      content.drm = playback.publicDrm(req, content.drm);
+
+      res.json({ content: transformDoc(content) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch content' });
+    }
+  });
+
+  // Starts playback like the channel playback-session endpoint: a signed play
+  // URL and a playback token, bound to a stream session for logged-in viewers.
+  router.post('/api/public/contents/:contentId/playback-session', enforcePaywall, async (req, res) => {
+    try {
+      const content = await Content.findOne({ contentId: req.params.contentId, status: true }).lean();
+      if (!content) return res.status(404).json({ error: 'Content not found' });
+
+      const opened = await openStreamSession(req, res, { resourceType: 'content', resourceId: content.contentId });
+      if (!opened) return;
+      const streamSessionId = opened.streamSession ? opened.streamSession.id : null;
+
+      const lowQuality = await shouldUseLowQuality(content);
+      const { url, expiresAt } = streamProxy.issueVodPlaybackUrl(
+        req,
+        { type: 'content', id: content.contentId },
+        { userId: req.paywallUserId, sessionId: streamSessionId, lowQuality }
+      );
+
+      res.json({
+        session: {
+          contentId: content.contentId,
+          playbackUrl: url,
+          lowQuality,
+          expiresAt,
+          drm: playback.publicDrm(req, content.drm),
+          playbackToken: playback.issuePlaybackToken({ type: 'content', id: content.contentId, userId: req.paywallUserId, streamSessionId }),
+          streamSessionId,
+          heartbeatIntervalSeconds: opened.heartbeatIntervalSeconds,
+        },
+      });
+    } catch (error) {
+      console.error('Content playback session error:', error);
+      res.status(500).json({ error: 'Failed to start playback session' });
+    }
+  });
+
+  router.post('/api/public/contents/:contentId/track-view', async (req, res) => {
+    try {
+      const updatedContent = await Content.findOneAndUpdate(
+        { contentId: req.params.contentId },
+        { $inc: { viewCount: 1 } },
+        { new: true }
+      );
+      if (!updatedContent) return res.status(404).json({ error: 'Content not found' });
+      res.status(200).json({ success: true, newViewCount: updatedContent.viewCount });
+    } catch (error) {
+      console.error('Track content view error:', error);
+      res.status(500).json({ error: 'Failed to track view' });
+    }
+  });
+
+  return router;
+};
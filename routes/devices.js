@@ -0,0 +1,106 @@
+// Device and stream session routes
+// App users list and remove their registered devices and keep their stream
+// sessions alive; admins see a user's devices and active streams and can end
+// them. Sessions are opened by the channel, content and episode playback-session
+// endpoints.
+const express = require('express');
+const { sessionSummary } = require('../services/streamLimits');
+
+module.exports = function devicesRoutes({ User, streamLimits, authMiddleware, requireAdmin, transformArray }) {
+  const router = express.Router();
+
+  async function loadAppUser(req, res, next) {
+    try {
+      const user = await User.findById(req.user.user?.id);
+      if (!user) return res.status(401).json({ error: 'User not found' });
+      req.appUser = user;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to load user' });
+    }
+  }
+
+  // --- App user ------------------------------------------------------------
+  router.get('/api/public/devices', authMiddleware, loadAppUser, async (req, res) => {
+    try {
+      const devices = await streamLimits.listDevices(req.appUser._id);
+      res.json({ devices: transformArray(devices), limits: streamLimits.limitsFor(req.appUser) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch devices' });
+    }
+  });
+
+  router.delete('/api/public/devices/:id', authMiddleware, loadAppUser, async (req, res) => {
+    try {
+      const device = await streamLimits.removeDevice(req.appUser._id, req.params.id);
+      if (!device) return res.status(404).json({ error: 'Device not found' });
+      res.json({ message: 'Device removed successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to remove device' });
+    }
+  });
+
+  // 410 tells the player its session is over (timed out, replaced or its
+  // device was removed) and playback should stop.
+  router.post('/api/public/stream-sessions/:id/heartbeat', authMiddleware, async (req, res) => {
+    try {
+      const session = await streamLimits.heartbeat(req.user.user?.id, req.params.id);
+      if (!session) return res.status(410).json({ error: 'Stream session has ended' });
+      res.json({ ok: true, heartbeatIntervalSeconds: streamLimits.heartbeatIntervalSeconds });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to record heartbeat' });
+    }
+  });
+
+  router.delete('/api/public/stream-sessions/:id', authMiddleware, async (req, res) => {
+    try {
+      await streamLimits.endSession({ _id: req.params.id, user: req.user.user?.id }, 'stopped');
+      res.json({ message: 'Stream session ended' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to end stream session' });
+    }
+  });
+
+  // --- Admin ---------------------------------------------------------------
+  router.get('/api/users/:id/sessions', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const [sessions, devices] = await Promise.all([
+        streamLimits.activeSessions(user._id),
+        streamLimits.listDevices(user._id),
+      ]);
+      res.json({
+        limits: streamLimits.limitsFor(user),
+        sessions: sessions.map(session => sessionSummary(session, devices)),
+        devices: transformArray(devices),
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch user sessions' });
+    }
+  });
+
+  router.delete('/api/users/:id/devices/:deviceId', requireAdmin('support'), async (req, res) => {
+    try {
+      const device = await streamLimits.removeDevice(req.params.id, req.params.deviceId);
+      if (!device) return res.status(404).json({ error: 'Device not found' });
+      console.log(`Device ${device.installationId} removed from user ${req.params.id} by ${req.admin.email}`);
+      res.json({ message: 'Device removed successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to remove device' });
+    }
+  });
+
+  router.delete('/api/users/:id/sessions/:sessionId', requireAdmin('support'), async (req, res) => {
+    try {
+      const session = await streamLimits.endSession({ _id: req.params.sessionId, user: req.params.id }, 'admin');
+      if (!session) return res.status(404).json({ error: 'Active stream session not found' });
+      res.json({ message: 'Stream session ended' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to end stream session' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,128 @@
+// EPG routes
+// Admin XMLTV upload / refresh and the public programme guide endpoints.
+const express = require('express');
+const multer = require('multer');
+const Programme = require('../models/Programme');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+});
+
+function programmeView(programme) {
+  if (!programme) return null;
+  return {
+    title: programme.title,
+    description: programme.description,
+    category: programme.category,
+    iconUrl: programme.iconUrl,
+    start: programme.start,
+    stop: programme.stop,
+  };
+}
+
+module.exports = function epgRoutes({ Channel, epgService, requireAdmin }) {
+  const router = express.Router();
+
+  // --- Admin ---------------------------------------------------------------
+  // Multipart upload (field "xmltv", .xml or .xml.gz) or JSON { xml: "<tv>...</tv>" }.
+  router.post('/api/epg/import', requireAdmin('content-editor'), upload.single('xmltv'), async (req, res) => {
+    try {
+      const input = req.file ? req.file.buffer : req.body.xml;
+      if (!input) return res.status(400).json({ error: 'Provide an xmltv file upload or an xml string' });
+
+      const result = await epgService.ingestXmltv(input, req.file?.originalname || 'upload');
+      res.json({ message: 'EPG imported', result });
+    } catch (error) {
+      console.error('EPG import error:', error);
+      res.status(500).json({ error: 'Failed to import EPG' });
+    }
+  });
+
+  router.post('/api/epg/refresh', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const results = await epgService.refreshSources();
+      if (!results) return res.status(409).json({ error: 'An EPG refresh is already running' });
+      res.json({ message: 'EPG refreshed', results });
+    } catch (error) {
+      console.error('EPG refresh error:', error);
+      res.status(500).json({ error: 'Failed to refresh EPG' });
+    }
+  });
+
+  router.get('/api/epg/status', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const [programmes, channels] = await Promise.all([
+        Programme.countDocuments(),
+        Programme.distinct('channelId'),
+      ]);
+      res.json({ ...epgService.status(), programmes, channelsWithEpg: channels.length });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch EPG status' });
+    }
+  });
+
+  // --- Public --------------------------------------------------------------
+  // Bulk now/next for the channel grid: ?channelIds=a,b,c (defaults to every active channel).
+  router.get('/api/public/epg/now-next', async (req, res) => {
+    try {
+      let channelIds = String(req.query.channelIds || '').split(',').map(id => id.trim()).filter(Boolean);
+      if (channelIds.length === 0) {
+        channelIds = await Channel.distinct('channelId', { status: true });
+      }
+
+      const now = new Date();
+      const [current, upcoming] = await Promise.all([
+        Programme.find({ channelId: { $in: channelIds }, start: { $lte: now }, stop: { $gt: now } }).lean(),
+        Programme.aggregate([
+          { $match: { channelId: { $in: channelIds }, start: { $gt: now } } },
+          { $sort: { start: 1 } },
+          { $group: { _id: '$channelId', programme: { $first: '$$ROOT' } } },
+        ]),
+      ]);
+
+      const nowByChannel = new Map(current.map(p => [p.channelId, p]));
+      const nextByChannel = new Map(upcoming.map(row => [row._id, row.programme]));
+
+      const guide = {};
+      for (const channelId of channelIds) {
+        guide[channelId] = {
+          now: programmeView(nowByChannel.get(channelId)),
+          next: programmeView(nextByChannel.get(channelId)),
+        };
+      }
+
+      res.json({ generatedAt: now.toISOString(), channels: guide });
+    } catch (error) {
+      console.error('Failed to fetch now/next:', error);
+      res.status(500).json({ error: 'Failed to fetch now/next' });
+    }
+  });
+
+  // ?from / ?to as ISO dates; defaults to the last 2 hours through the next 24.
+  router.get('/api/public/channels/:channelId/epg', async (req, res) => {
+    try {
+      const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 2 * 60 * 60 * 1000);
+      const to = req.query.to ? new Date(req.query.to) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return res.status(400).json({ error: 'from and to must be ISO dates' });
+      }
+
+      const channel = await Channel.exists({ channelId: req.params.channelId, status: true });
+      if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+      const programmes = await Programme.find({
+        channelId: req.params.channelId,
+        stop: { $gt: from },
+        start: { $lt: to },
+      }).sort({ start: 1 }).lean();
+
+      res.json({ channelId: req.params.channelId, programmes: programmes.map(programmeView) });
+    } catch (error) {
+      console.error('Failed to fetch channel EPG:', error);
+      res.status(500).json({ error: 'Failed to fetch EPG' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,149 @@
+// License routes
+// Server-side DRM license endpoints. Every request needs the paywall check and
+// a playback token issued to the same user; a logged-in viewer's token only
+// works while its stream session is live.
+const express = require('express');
+const axios = require('axios');
+const Joi = require('joi');
+const { toBase64Url } = require('../services/playback');
+
+const clearKeyRequestSchema = Joi.object({
+  kids: Joi.array().items(Joi.string()).min(1).required(),
+  type: Joi.string().valid('temporary', 'persistent-license'),
+}).unknown(true);
+
+const LICENSE_TIMEOUT_MS = 15_000;
+
+// Client headers a license server may need to interpret the challenge.
+const FORWARDED_HEADERS = ['content-type', 'soapaction'];
+
+function headersOf(resource) {
+  const headers = resource.playbackHeaders || {};
+  return headers instanceof Map ? Object.fromEntries(headers) : { ...headers };
+}
+
+module.exports = function licensesRoutes({ playback, entitlements, streamLimits, enforcePaywall }) {
+  const router = express.Router();
+
+  // EME players often post the license request without a JSON content type.
+  const anyJson = express.json({ type: () => true, limit: '16kb' });
+
+  // Runs before enforcePaywall: loads the session's resource and, for
+  // channels, its access level so free and bundle channels are checked as such.
+  async function loadPlaybackSession(req, res, next) {
+    try {
+      const token = req.get('X-Playback-Token') || req.query.token;
+      const session = token ? playback.verifyPlaybackToken(token) : null;
+      if (!session) return res.status(401).json({ error: 'Valid playback token required' });
+
+      req.playbackSession = session;
+      req.playbackResource = await playback.loadResource(session.type, session.id);
+      if (req.playbackResource && session.type === 'channel') {
+        req.requiredAccess = await entitlements.channelAccess(req.playbackResource);
+      }
+      next();
+    } catch (error) {
+      console.error('Playback session lookup error:', error);
+      res.status(500).json({ error: 'Failed to issue license' });
+    }
+  }
+
+  async function playbackSession(req, res) {
+    const session = req.playbackSession;
+    if ((session.userId || null) !== (req.paywallUserId || null)) {
+      res.status(403).json({ error: 'Playback token was issued to another user' });
+      return null;
+    }
+    if (session.userId
+      && !(session.streamSessionId && await streamLimits.isSessionLive(session.streamSessionId, session.userId))) {
+      res.status(410).json({ error: 'Stream session has ended' });
+      return null;
+    }
+    return session;
+  }
+
+  // ClearKey, W3C EME JSON format:
+  //   request  { "kids": ["<base64url>"], "type": "temporary" }
+  //   response { "keys": [{ "kty": "oct", "kid": "<base64url>", "k": "<base64url>" }], "type": "temporary" }
+  router.post('/api/public/license/clearkey', anyJson, loadPlaybackSession, enforcePaywall, async (req, res) => {
+    try {
+      const session = await playbackSession(req, res);
+      if (!session) return;
+
+      const { error } = clearKeyRequestSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const resource = req.playbackResource;
+      if (!resource || !resource.drm?.enabled || resource.drm.provider !== 'clearkey') {
+        return res.status(404).json({ error: 'No ClearKey configuration for this stream' });
+      }
+
+      const keys = playback.parseClearKeys(resource.drm.key);
+      const matched = req.body.kids
+        .map(toBase64Url)
+        .filter(kid => keys.has(kid))
+        .map(kid => ({ kty: 'oct', kid, k: keys.get(kid) }));
+
+      if (matched.length === 0) {
+        return res.status(404).json({ error: 'No keys for the requested key IDs' });
+      }
+
+      res.json({ keys: matched, type: req.body.type || 'temporary' });
+    } catch (error) {
+      console.error('ClearKey license error:', error);
+      res.status(500).json({ error: 'Failed to issue license' });
+    }
+  });
+
+  // Widevine / PlayReady: the binary (or SOAP) challenge is relayed to the
+  // stored drm.licenseServer with the resource's playbackHeaders added here,
+  // so neither the upstream URL nor its auth headers are exposed to the app.
+  router.post(
+    '/api/public/license/:provider(widevine|playready)',
+    express.raw({ type: () => true, limit: '64kb' }),
+    loadPlaybackSession,
+    enforcePaywall,
+    async (req, res) => {
+      try {
+        const session = await playbackSession(req, res);
+        if (!session) return;
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(400).json({ error: 'License challenge body is required' });
+        }
+
+        const { provider } = req.params;
+        const resource = req.playbackResource;
+        if (!resource || !resource.drm?.enabled || resource.drm.provider !== provider || !resource.drm.licenseServer) {
+          return res.status(404).json({ error: `No ${provider} configuration for this stream` });
+        }
+
+        const headers = headersOf(resource);
+        for (const name of FORWARDED_HEADERS) {
+          if (req.get(name)) headers[name] = req.get(name);
+        }
+
+        const upstream = await axios.post(resource.drm.licenseServer, req.body, {
+          headers,
+          timeout: LICENSE_TIMEOUT_MS,
+          responseType: 'arraybuffer',
+          maxContentLength: 1024 * 1024,
+          validateStatus: () => true,
+        });
+
+        if (upstream.status < 200 || upstream.status >= 300) {
+          console.error(`${provider} license server returned HTTP ${upstream.status} for ${session.type} ${session.id}`);
+          return res.status(502).json({ error: `License server returned HTTP ${upstream.status}` });
+        }
+
+        res.set('Content-Type', upstream.headers['content-type'] || 'application/octet-stream');
+        res.send(Buffer.from(upstream.data));
+      } catch (error) {
+        console.error('License proxy error:', error.message);
+        res.status(502).json({ error: 'License server unavailable' });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,134 @@
+// Plans routes
+// Admin CRUD for subscription plans and the public package list the app shows
+// on its paywall screen.
+const express = require('express');
+const Joi = require('joi');
+const Plan = require('../models/Plan');
+
+const planValidationSchema = Joi.object({
+  planId: Joi.string().pattern(/^[a-z0-9_-]+$/).required(),
+  name: Joi.string().required(),
+  names: Joi.object().pattern(Joi.string().pattern(/^[a-z]{2}(-[A-Z]{2})?$/), Joi.string()),
+  price: Joi.number().min(0).required(),
+  currency: Joi.string().uppercase().length(3),
+  durationDays: Joi.number().integer().min(1).required(),
+  bundles: Joi.array().items(Joi.string()),
+  provider: Joi.string().allow(''),
+  maxDevices: Joi.number().integer().min(0).allow(null),
+  maxStreams: Joi.number().integer().min(0).allow(null),
+  isActive: Joi.boolean(),
+  order: Joi.number(),
+});
+
+const reorderValidationSchema = Joi.object({
+  ids: Joi.array().items(Joi.string()).min(1).required(),
+});
+
+module.exports = function plansRoutes({ Transaction, requireAdmin, transformDoc, transformArray }) {
+  const router = express.Router();
+
+  // --- Admin ---------------------------------------------------------------
+  router.get('/api/plans', requireAdmin('finance'), async (req, res) => {
+    try {
+      const plans = await Plan.find({}).sort({ order: 1, price: 1 });
+      res.json({ plans: transformArray(plans) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch plans' });
+    }
+  });
+
+  router.post('/api/plans', requireAdmin('finance'), async (req, res) => {
+    try {
+      const { error, value } = planValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      if (value.order === undefined) {
+        const last = await Plan.findOne({}).sort({ order: -1 });
+        value.order = (last?.order ?? -1) + 1;
+      }
+
+      const plan = new Plan(value);
+      await plan.save();
+      res.status(201).json({ message: 'Plan created successfully', plan: transformDoc(plan) });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Plan ID already exists' });
+      res.status(500).json({ error: 'Failed to create plan' });
+    }
+  });
+
+  router.post('/api/plans/reorder', requireAdmin('finance'), async (req, res) => {
+    try {
+      const { error } = reorderValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      await Plan.bulkWrite(req.body.ids.map((id, order) => ({
+        updateOne: { filter: { _id: id }, update: { order } },
+      })));
+      res.json({ message: 'Plans reordered successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to reorder plans' });
+    }
+  });
+
+  router.put('/api/plans/:id', requireAdmin('finance'), async (req, res) => {
+    try {
+      const { error, value } = planValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const plan = await Plan.findById(req.params.id);
+      if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+      // Transactions and app builds reference planId, so it is fixed once created.
+      if (value.planId !== plan.planId) {
+        return res.status(400).json({ error: 'planId cannot be changed' });
+      }
+
+      plan.set(value);
+      await plan.save();
+      res.json({ message: 'Plan updated successfully', plan: transformDoc(plan) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to update plan' });
+    }
+  });
+
+  router.delete('/api/plans/:id', requireAdmin('finance'), async (req, res) => {
+    try {
+      const plan = await Plan.findById(req.params.id);
+      if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+      const used = await Transaction.countDocuments({ planId: plan.planId });
+      if (used > 0) {
+        return res.status(409).json({ error: `Plan has ${used} transaction(s). Deactivate it instead.` });
+      }
+
+      await plan.deleteOne();
+      res.json({ message: 'Plan deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete plan' });
+    }
+  });
+
+  // --- Public --------------------------------------------------------------
+  // `days` keeps the shape older app builds read from the JSON setting.
+  router.get('/api/public/packages', async (req, res) => {
+    try {
+      const plans = await Plan.find({ isActive: true }).sort({ order: 1, price: 1 });
+      if (plans.length === 0) return res.status(404).json({ error: 'Subscription packages not configured.' });
+
+      res.json(plans.map(plan => ({
+        planId: plan.planId,
+        name: plan.displayName(req.query.lang),
+        names: Object.fromEntries(plan.names || []),
+        price: plan.price,
+        currency: plan.currency,
+        days: plan.durationDays,
+        bundles: plan.bundles,
+      })));
+    } catch (error) {
+      console.error('Failed to fetch packages:', error);
+      res.status(500).json({ error: 'Failed to fetch subscription packages.' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,316 @@
+// Playlist routes
+// Bulk channel import from M3U / M3U8 playlists, channel export as M3U or JSON
+// backup, and JSON backup restore. Imports report what they would change before
+// writing: M3U entries are upserted by channelId, a JSON restore is diffed
+// against the database (create / update / remove) and only applied on request.
+const express = require('express');
+const multer = require('multer');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const { parseM3U, entryToChannel, buildM3U } = require('../services/m3u');
+
+const BACKUP_VERSION = 1;
+
+// Where M3U entries without x-subcategory land when the request names no
+// subcategory their main category has.
+const FALLBACK_SUBCATEGORY = { key: 'all', name: 'All' };
+
+// Runtime/bookkeeping fields that are not part of a channel's configuration.
+const NON_EXPORTED_FIELDS = new Set(['viewCount']);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+// Sorts object keys recursively so two channels can be compared as JSON.
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).sort().reduce((out, key) => {
+      out[key] = canonical(value[key]);
+      return out;
+    }, {});
+  }
+  return value;
+}
+
+module.exports = function playlistsRoutes({ Channel, requireAdmin, validateChannelBody }) {
+  const router = express.Router();
+  const exportFields = Object.keys(Channel.schema.obj).filter(field => !NON_EXPORTED_FIELDS.has(field));
+
+  // Casts through the model so schema defaults apply to both sides of a diff.
+  function toExportShape(data) {
+    const doc = new Channel(data).toObject({ flattenMaps: true });
+    return exportFields.reduce((out, field) => {
+      if (doc[field] !== undefined) out[field] = doc[field];
+      return out;
+    }, {});
+  }
+
+  function changedFields(current, incoming) {
+    return exportFields.filter(field =>
+      JSON.stringify(canonical(current[field])) !== JSON.stringify(canonical(incoming[field]))
+    );
+  }
+
+  // Must be mounted ahead of GET /api/channels/:id.
+  router.get('/api/channels/export', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!['json', 'm3u'].includes(format)) {
+        return res.status(400).json({ error: 'format must be m3u or json' });
+      }
+
+      const channels = (await Channel.find({}).sort({ position: 1, createdAt: -1 }).lean())
+        .map(toExportShape);
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+      if (format === 'm3u') {
+        res.set('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="channels-${stamp}.m3u"`);
+        return res.send(buildM3U(channels));
+      }
+
+      res.set('Content-Disposition', `attachment; filename="channels-${stamp}.json"`);
+      res.json({
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        count: channels.length,
+        channels,
+      });
+    } catch (error) {
+      console.error('Channel export error:', error);
+      res.status(500).json({ error: 'Failed to export channels' });
+    }
+  });
+
+  // Subcategory for entries of one main category that have no x-subcategory
+  // (plain provider playlists only carry group-title): the requested one when
+  // the category has it, else the category's "All", created on import when it
+  // is missing. Resolves { name, create }, create being the parent key of a
+  // subcategory that does not exist yet; unknown main categories are left to
+  // validation.
+  async function fallbackSubCategory(mainCategory, requested) {
+    const category = await Category.findOne({ name: mainCategory }).lean();
+    if (!category) return { name: requested || FALLBACK_SUBCATEGORY.name };
+
+    if (requested && await SubCategory.exists({ parentCategory: category.key, name: requested })) {
+      return { name: requested };
+    }
+    const fallback = await SubCategory.findOne({
+      parentCategory: category.key,
+      $or: [{ key: FALLBACK_SUBCATEGORY.key }, { name: FALLBACK_SUBCATEGORY.name }],
+    }).lean();
+    if (fallback) return { name: fallback.name };
+    return { name: FALLBACK_SUBCATEGORY.name, create: category.key };
+  }
+
+  async function createFallbackSubCategory(parentCategory) {
+    const last = await SubCategory.findOne({ parentCategory }).sort({ order: -1 });
+    try {
+      await SubCategory.create({ parentCategory, ...FALLBACK_SUBCATEGORY, order: (last?.order ?? -1) + 1 });
+    } catch (error) {
+      if (error.code !== 11000) throw error; // created by a concurrent import
+    }
+  }
+
+  // Accepts either a multipart upload (field "playlist") or JSON { playlist: "<text>" }.
+  // Optional fields: mainCategory (used when an entry has no group-title),
+  // subCategory (used when an entry has no x-subcategory attribute and its
+  // main category has a subcategory of that name; "All" otherwise) and dryRun.
+  router.post('/api/channels/import/m3u', requireAdmin('content-editor'), upload.single('playlist'), async (req, res) => {
+    try {
+      const text = req.file ? req.file.buffer.toString('utf8') : req.body.playlist;
+      if (!text || typeof text !== 'string') {
+        return res.status(400).json({ error: 'Provide a playlist file upload or a playlist string' });
+      }
+
+      const dryRun = isTrue(req.body.dryRun) || isTrue(req.query.dryRun);
+      const { entries, errors } = parseM3U(text);
+
+      const results = [];
+      const seen = new Set();
+      const fallbacks = new Map();
+      // Subcategories this import creates (or would create), by "<parent key>/<name>".
+      const createdSubCategories = new Map();
+
+      for (const entry of entries) {
+        const channel = entryToChannel(entry, { mainCategory: req.body.mainCategory });
+
+        let newSubCategory = null;
+        if (!channel.subCategory) {
+          if (!fallbacks.has(channel.mainCategory)) {
+            fallbacks.set(channel.mainCategory, await fallbackSubCategory(channel.mainCategory, req.body.subCategory));
+          }
+          const fallback = fallbacks.get(channel.mainCategory);
+          channel.subCategory = fallback.name;
+          if (fallback.create) newSubCategory = { parentCategory: fallback.create, name: fallback.name };
+        }
+
+        if (!channel.channelId) {
+          errors.push({ line: entry.line, error: 'Could not derive a channelId (no tvg-id or name)' });
+          continue;
+        }
+        if (seen.has(channel.channelId)) {
+          errors.push({ line: entry.line, channelId: channel.channelId, error: 'Duplicate channelId in playlist' });
+          continue;
+        }
+        seen.add(channel.channelId);
+
+        const pendingKey = newSubCategory && `${newSubCategory.parentCategory}/${newSubCategory.name}`;
+        const validationError = await validateChannelBody(channel, { pendingSubCategories: new Set(pendingKey ? [pendingKey] : []) });
+        if (validationError) {
+          errors.push({ line: entry.line, channelId: channel.channelId, error: validationError });
+          continue;
+        }
+
+        if (newSubCategory && !createdSubCategories.has(pendingKey)) {
+          if (!dryRun) await createFallbackSubCategory(newSubCategory.parentCategory);
+          createdSubCategories.set(pendingKey, newSubCategory);
+        }
+
+        const exists = await Channel.exists({ channelId: channel.channelId });
+        if (!dryRun) {
+          try {
+            await Channel.updateOne({ channelId: channel.channelId }, { $set: channel }, { upsert: true, runValidators: true });
+          } catch (writeError) {
+            errors.push({ line: entry.line, channelId: channel.channelId, error: writeError.message });
+            continue;
+          }
+        }
+
+        results.push({
+          line: entry.line,
+          channelId: channel.channelId,
+          name: channel.name,
+          action: exists ? 'update' : 'create',
+        });
+      }
+
+      errors.sort((a, b) => a.line - b.line);
+
+      res.json({
+        message: dryRun ? 'Import preview generated' : 'Playlist imported',
+        dryRun,
+        summary: {
+          entries: entries.length,
+          created: results.filter(r => r.action === 'create').length,
+          updated: results.filter(r => r.action === 'update').length,
+          failed: errors.length,
+        },
+        createdSubCategories: [...createdSubCategories.values()],
+        results,
+        errors,
+      });
+    } catch (error) {
+      console.error('M3U import error:', error);
+      res.status(500).json({ error: 'Failed to import playlist' });
+    }
+  });
+
+  // Restores a JSON backup from GET /api/channels/export?format=json. Accepts a
+  // multipart upload (field "backup") or the backup object as the JSON body.
+  // dryRun defaults to true: the response lists what would be created, updated
+  // and removed. With dryRun=false the database is made to match the backup;
+  // removeMissing=false keeps channels that are not in the backup.
+  router.post('/api/channels/import/json', requireAdmin('content-editor'), upload.single('backup'), async (req, res) => {
+    try {
+      let backup = req.body;
+      if (req.file) {
+        try {
+          backup = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch {
+          return res.status(400).json({ error: 'Backup file is not valid JSON' });
+        }
+      }
+      if (!backup || !Array.isArray(backup.channels)) {
+        return res.status(400).json({ error: 'Backup must contain a channels array' });
+      }
+      if (backup.version && backup.version > BACKUP_VERSION) {
+        return res.status(400).json({ error: `Unsupported backup version ${backup.version}` });
+      }
+
+      const dryRun = !(req.body.dryRun === false || req.body.dryRun === 'false' || req.query.dryRun === 'false');
+      const removeMissing = !(req.body.removeMissing === false || req.body.removeMissing === 'false' || req.query.removeMissing === 'false');
+
+      const errors = [];
+      const incoming = new Map();
+      for (const [index, channel] of backup.channels.entries()) {
+        const validationError = await validateChannelBody(channel);
+        if (validationError) {
+          errors.push({ index, channelId: channel?.channelId, error: validationError });
+        } else if (incoming.has(channel.channelId)) {
+          errors.push({ index, channelId: channel.channelId, error: 'Duplicate channelId in backup' });
+        } else {
+          incoming.set(channel.channelId, toExportShape(channel));
+        }
+      }
+
+      const existing = new Map(
+        (await Channel.find({}).lean()).map(channel => [channel.channelId, toExportShape(channel)])
+      );
+
+      const diff = { create: [], update: [], remove: [], unchanged: 0 };
+      for (const [channelId, channel] of incoming) {
+        const current = existing.get(channelId);
+        if (!current) {
+          diff.create.push({ channelId, name: channel.name });
+          continue;
+        }
+        const fields = changedFields(current, channel);
+        if (fields.length > 0) diff.update.push({ channelId, name: channel.name, fields });
+        else diff.unchanged += 1;
+      }
+      if (removeMissing) {
+        for (const [channelId, channel] of existing) {
+          if (!incoming.has(channelId)) diff.remove.push({ channelId, name: channel.name });
+        }
+      }
+
+      const report = {
+        dryRun,
+        removeMissing,
+        summary: {
+          create: diff.create.length,
+          update: diff.update.length,
+          remove: diff.remove.length,
+          unchanged: diff.unchanged,
+          invalid: errors.length,
+        },
+        diff,
+        errors,
+      };
+
+      if (dryRun) {
+        return res.json({ message: 'Restore preview generated', ...report });
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Backup contains invalid channels; nothing was applied', ...report });
+      }
+
+      const operations = [
+        ...[...diff.create, ...diff.update].map(({ channelId }) => ({
+          updateOne: {
+            filter: { channelId },
+            update: { $set: incoming.get(channelId) },
+            upsert: true,
+          },
+        })),
+        ...diff.remove.map(({ channelId }) => ({ deleteOne: { filter: { channelId } } })),
+      ];
+      if (operations.length > 0) await Channel.bulkWrite(operations);
+
+      res.json({ message: 'Backup restored', ...report });
+    } catch (error) {
+      console.error('JSON restore error:', error);
+      res.status(500).json({ error: 'Failed to restore backup' });
+    }
+  });
+
+  return router;
+};
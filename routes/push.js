@@ -0,0 +1,92 @@
+// Push routes
+// The app registers and removes its push token with its login token; admins
+// see the per-device results of a sent notification.
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const PushToken = require('../models/PushToken');
+const NotificationDelivery = require('../models/NotificationDelivery');
+
+const { PUSH_PLATFORMS } = PushToken;
+
+const pushTokenValidation = Joi.object({
+  token: Joi.string().max(4096).required(),
+  platform: Joi.string().valid(...PUSH_PLATFORMS),
+  installationId: Joi.string(),
+});
+
+const pushTokenRemovalValidation = Joi.object({
+  token: Joi.string().required(),
+});
+
+module.exports = function pushRoutes({ authMiddleware, requireAdmin, transformArray }) {
+  const router = express.Router();
+
+  // --- App user ------------------------------------------------------------
+  // Re-registering an existing token moves it to the caller, e.g. when a
+  // device logs into another account.
+  router.post('/api/public/push-tokens', authMiddleware, async (req, res) => {
+    try {
+      const { error, value } = pushTokenValidation.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      await PushToken.updateOne(
+        { token: value.token },
+        { ...value, user: req.user.user.id, lastSeenAt: new Date() },
+        { upsert: true }
+      );
+      res.json({ message: 'Push token registered' });
+    } catch (error) {
+      console.error('Push token registration error:', error);
+      res.status(500).json({ error: 'Failed to register push token' });
+    }
+  });
+
+  router.delete('/api/public/push-tokens', authMiddleware, async (req, res) => {
+    try {
+      const { error, value } = pushTokenRemovalValidation.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      await PushToken.deleteOne({ token: value.token, user: req.user.user.id });
+      res.json({ message: 'Push token removed' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to remove push token' });
+    }
+  });
+
+  // --- Admin ---------------------------------------------------------------
+  // ?status=delivered|failed|invalid
+  router.get('/api/notifications/:id/deliveries', requireAdmin('content-editor', 'support'), async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+      const notificationId = new mongoose.Types.ObjectId(req.params.id);
+
+      const filter = { notification: notificationId };
+      if (req.query.status) filter.status = req.query.status;
+
+      const [deliveries, total, summary] = await Promise.all([
+        NotificationDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        NotificationDelivery.countDocuments(filter),
+        NotificationDelivery.aggregate([
+          { $match: { notification: notificationId } },
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      res.json({
+        summary: Object.fromEntries(summary.map(s => [s._id, s.count])),
+        deliveries: transformArray(deliveries),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch notification deliveries' });
+    }
+  });
+
+  return router;
+};
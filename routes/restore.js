@@ -0,0 +1,89 @@
+// Restore purchase routes
+// Two steps, both with the device-login token of the new installation:
+// request an SMS code for the phone number used to pay, then verify it to move
+// the purchase onto this installation (see services/accountRestore.js).
+const express = require('express');
+const Joi = require('joi');
+
+// Tanzanian numbers in any of 07XXXXXXXX, 7XXXXXXXX, 2557XXXXXXXX or +2557XXXXXXXX.
+const phoneNumberSchema = Joi.string().pattern(/^(\+?255|0)?[67]\d{8}$/).required()
+  .messages({ 'string.pattern.base': 'phoneNumber must be a valid Tanzanian mobile number' });
+
+const restoreRequestValidation = Joi.object({
+  phoneNumber: phoneNumberSchema,
+});
+
+const restoreVerifyValidation = Joi.object({
+  phoneNumber: phoneNumberSchema,
+  code: Joi.string().pattern(/^\d{6}$/).required(),
+});
+
+const VERIFY_ERRORS = {
+  invalid: [400, 'Invalid code'],
+  expired: [400, 'Code expired or not requested. Please request a new one.'],
+  locked: [429, 'Too many wrong attempts. Please request a new code.'],
+  'not-found': [404, 'No purchase found for this phone number'],
+};
+
+module.exports = function restoreRoutes({ User, restoreService, authMiddleware, transformDoc }) {
+  const router = express.Router();
+
+  async function loadAppUser(req, res, next) {
+    try {
+      const user = await User.findById(req.user.user?.id);
+      if (!user) return res.status(401).json({ error: 'User not found' });
+      req.appUser = user;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to load user' });
+    }
+  }
+
+  router.post('/api/public/restore/request', authMiddleware, loadAppUser, async (req, res) => {
+    try {
+      const { error, value } = restoreRequestValidation.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const result = await restoreService.requestCode(req.appUser, value.phoneNumber);
+      if (!result.ok) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+          error: 'Please wait before requesting another code.',
+          retryAfterSeconds: result.retryAfterSeconds,
+        });
+      }
+
+      res.json({
+        message: 'If this number was used for a purchase, a code has been sent by SMS.',
+        expiresInSeconds: result.expiresInSeconds,
+      });
+    } catch (error) {
+      console.error('Restore code request error:', error);
+      res.status(500).json({ error: 'Failed to send restore code' });
+    }
+  });
+
+  router.post('/api/public/restore/verify', authMiddleware, loadAppUser, async (req, res) => {
+    try {
+      const { error, value } = restoreVerifyValidation.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const user = req.appUser;
+      const result = await restoreService.restore(user, value.phoneNumber, value.code);
+      if (result.status !== 'ok') {
+        const [status, message] = VERIFY_ERRORS[result.status];
+        return res.status(status).json({ error: message });
+      }
+
+      res.json({
+        message: 'Purchase restored successfully',
+        user: transformDoc(user),
+      });
+    } catch (error) {
+      console.error('Restore verify error:', error);
+      res.status(500).json({ error: 'Failed to restore purchase' });
+    }
+  });
+
+  return router;
+};
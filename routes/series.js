@@ -0,0 +1,463 @@
+// Series routes
+// Admin management of series -> seasons -> episodes, plus public endpoints for
+// series detail, next-episode lookup and "new episodes since" queries. Episode
+// streams are only reachable through the paywalled episode playback session;
+// every other public response carries episode metadata only.
+const express = require('express');
+const Joi = require('joi');
+const Series = require('../models/Series');
+
+const drmValidation = Joi.object({
+  enabled: Joi.boolean(),
+  provider: Joi.string().valid('clearkey', 'none', 'widevine', 'playready'),
+  key: Joi.string().allow(''),
+  licenseServer: Joi.string().uri().allow(''),
+});
+
+const episodeValidationSchema = Joi.object({
+  episodeId: Joi.string(),
+  episodeNumber: Joi.number().integer().min(1).required(),
+  title: Joi.string().required(),
+  description: Joi.string().allow(''),
+  thumbnailUrl: Joi.string().allow(''),
+  streamUrl: Joi.string().uri().required(),
+  streamUrlLowQuality: Joi.string().uri().allow(''),
+  drm: drmValidation,
+  playbackHeaders: Joi.object().pattern(Joi.string(), Joi.string()),
+  durationSeconds: Joi.number().min(0),
+  releaseDate: Joi.date().iso(),
+  status: Joi.boolean(),
+});
+
+const seasonValidationSchema = Joi.object({
+  seasonNumber: Joi.number().integer().min(1).required(),
+  title: Joi.string().allow(''),
+  episodes: Joi.array().items(episodeValidationSchema),
+});
+
+const seriesValidationSchema = Joi.object({
+  title: Joi.string().required(),
+  seriesId: Joi.string().required(),
+  description: Joi.string().allow(''),
+  posterUrl: Joi.string().allow(''),
+  mainCategory: Joi.string(),
+  subCategory: Joi.string(),
+  status: Joi.boolean(),
+  tag: Joi.string().allow(''),
+  position: Joi.number(),
+  seasons: Joi.array().items(seasonValidationSchema),
+}).unknown(true);
+
+function defaultEpisodeId(seriesId, seasonNumber, episodeNumber) {
+  return `${seriesId}_s${seasonNumber}e${episodeNumber}`;
+}
+
+function fillEpisodeIds(seriesId, seasons = []) {
+  for (const season of seasons) {
+    for (const episode of season.episodes || []) {
+      if (!episode.episodeId) {
+        episode.episodeId = defaultEpisodeId(seriesId, season.seasonNumber, episode.episodeNumber);
+      }
+    }
+  }
+}
+
+function isReleased(episode, now = new Date()) {
+  return episode.status && (!episode.releaseDate || episode.releaseDate <= now);
+}
+
+// Public episode shape: everything except the stream, DRM and headers.
+function episodeSummary(episode, seasonNumber) {
+  return {
+    episodeId: episode.episodeId,
+    seasonNumber,
+    episodeNumber: episode.episodeNumber,
+    title: episode.title,
+    description: episode.description,
+    thumbnailUrl: episode.thumbnailUrl,
+    durationSeconds: episode.durationSeconds,
+    releaseDate: episode.releaseDate,
+  };
+}
+
+function seriesSummary(series) {
+  const now = new Date();
+  const released = series.seasons.flatMap(season => season.episodes.filter(ep => isReleased(ep, now)));
+  return {
+    seriesId: series.seriesId,
+    title: series.title,
+    description: series.description,
+    posterUrl: series.posterUrl,
+    mainCategory: series.mainCategory,
+    subCategory: series.subCategory,
+    tag: series.tag,
+    seasonCount: series.seasons.length,
+    episodeCount: released.length,
+    latestReleaseDate: released.reduce((latest, ep) => (!latest || ep.releaseDate > latest ? ep.releaseDate : latest), null),
+  };
+}
+
+module.exports = function seriesRoutes({ requireAdmin, enforcePaywall, getSetting, playback, streamProxy, openStreamSession, transformDoc, transformArray }) {
+  const router = express.Router();
+
+  async function loadSeries(req, res) {
+    const series = await Series.findById(req.params.id);
+    if (!series) res.status(404).json({ error: 'Series not found' });
+    return series;
+  }
+
+  function findSeason(series, seasonNumber) {
+    return series.seasons.find(s => s.seasonNumber === Number(seasonNumber)) || null;
+  }
+
+  // --- Admin: series -------------------------------------------------------
+  router.get('/api/series', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { search, mainCategory, subCategory } = req.query;
+      const query = {};
+      if (search) query.title = { $regex: search, $options: 'i' };
+      if (mainCategory) query.mainCategory = mainCategory;
+      if (subCategory) query.subCategory = subCategory;
+
+      const series = await Series.find(query).sort({ position: 1, createdAt: -1 });
+      res.json({ series: transformArray(series) });
+    } catch (error) {
+      console.error('Failed to fetch series:', error);
+      res.status(500).json({ error: 'Failed to fetch series' });
+    }
+  });
+
+  router.get('/api/series/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      res.json({ series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch series' });
+    }
+  });
+
+  router.post('/api/series', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = seriesValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      fillEpisodeIds(req.body.seriesId, req.body.seasons);
+      const newSeries = new Series(req.body);
+      await newSeries.save();
+      res.status(201).json({ message: 'Series created successfully', series: transformDoc(newSeries) });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Series ID already exists' });
+      res.status(500).json({ error: 'Failed to create series' });
+    }
+  });
+
+  router.put('/api/series/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = seriesValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      fillEpisodeIds(req.body.seriesId, req.body.seasons);
+      series.set(req.body);
+      await series.save();
+      res.json({ message: 'Series updated successfully', series: transformDoc(series) });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Series ID already exists' });
+      res.status(500).json({ error: 'Failed to update series' });
+    }
+  });
+
+  router.delete('/api/series/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const deletedSeries = await Series.findByIdAndDelete(req.params.id);
+      if (!deletedSeries) return res.status(404).json({ error: 'Series not found' });
+      res.json({ message: 'Series deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete series' });
+    }
+  });
+
+  router.post('/api/series/:id/toggle', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      series.status = !series.status;
+      await series.save();
+      res.json({ message: 'Series status toggled successfully', series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to toggle series status' });
+    }
+  });
+
+  // --- Admin: seasons ------------------------------------------------------
+  router.post('/api/series/:id/seasons', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = seasonValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      if (findSeason(series, req.body.seasonNumber)) {
+        return res.status(400).json({ error: 'Season already exists' });
+      }
+      fillEpisodeIds(series.seriesId, [req.body]);
+      series.seasons.push(req.body);
+      await series.save();
+      res.status(201).json({ message: 'Season added successfully', series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to add season' });
+    }
+  });
+
+  router.put('/api/series/:id/seasons/:seasonNumber', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = Joi.object({ title: Joi.string().allow('') }).validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      const season = findSeason(series, req.params.seasonNumber);
+      if (!season) return res.status(404).json({ error: 'Season not found' });
+      season.title = req.body.title ?? season.title;
+      await series.save();
+      res.json({ message: 'Season updated successfully', series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to update season' });
+    }
+  });
+
+  router.delete('/api/series/:id/seasons/:seasonNumber', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      const season = findSeason(series, req.params.seasonNumber);
+      if (!season) return res.status(404).json({ error: 'Season not found' });
+      series.seasons.pull(season);
+      await series.save();
+      res.json({ message: 'Season deleted successfully', series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete season' });
+    }
+  });
+
+  // --- Admin: episodes -----------------------------------------------------
+  router.post('/api/series/:id/seasons/:seasonNumber/episodes', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = episodeValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      const season = findSeason(series, req.params.seasonNumber);
+      if (!season) return res.status(404).json({ error: 'Season not found' });
+
+      const episode = { ...req.body };
+      if (!episode.episodeId) {
+        episode.episodeId = defaultEpisodeId(series.seriesId, season.seasonNumber, episode.episodeNumber);
+      }
+      if (series.findEpisode(episode.episodeId)) {
+        return res.status(400).json({ error: 'Episode ID already exists in this series' });
+      }
+
+      season.episodes.push(episode);
+      await series.save();
+      res.status(201).json({ message: 'Episode added successfully', series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to add episode' });
+    }
+  });
+
+  router.put('/api/series/:id/episodes/:episodeId', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = episodeValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      const found = series.findEpisode(req.params.episodeId);
+      if (!found) return res.status(404).json({ error: 'Episode not found' });
+
+      const { episodeId, ...data } = req.body;
+      found.episode.set(data);
+      await series.save();
+      res.json({ message: 'Episode updated successfully', series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to update episode' });
+    }
+  });
+
+  router.delete('/api/series/:id/episodes/:episodeId', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const series = await loadSeries(req, res);
+      if (!series) return;
+      const found = series.findEpisode(req.params.episodeId);
+      if (!found) return res.status(404).json({ error: 'Episode not found' });
+      found.season.episodes.pull(found.episode);
+      await series.save();
+      res.json({ message: 'Episode deleted successfully', series: transformDoc(series) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete episode' });
+    }
+  });
+
+  // --- Public --------------------------------------------------------------
+  router.get('/api/public/series', async (req, res) => {
+    try {
+      const { mainCategory, subCategory } = req.query;
+      const query = { status: true };
+      if (mainCategory) query.mainCategory = mainCategory;
+      if (subCategory) query.subCategory = subCategory;
+
+      const series = await Series.find(query).sort({ position: 1, createdAt: -1 });
+      res.json({ series: series.map(seriesSummary) });
+    } catch (error) {
+      console.error('Failed to fetch public series:', error);
+      res.status(500).json({ error: 'Failed to fetch public series' });
+    }
+  });
+
+  // Must be registered before /:seriesId so "new-episodes" is not taken as an id.
+  router.get('/api/public/series/new-episodes', async (req, res) => {
+    try {
+      const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      if (Number.isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'since must be an ISO date' });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const now = new Date();
+
+      const match = { status: true };
+      if (req.query.seriesId) match.seriesId = req.query.seriesId;
+
+      const rows = await Series.aggregate([
+        { $match: match },
+        { $unwind: '$seasons' },
+        { $unwind: '$seasons.episodes' },
+        { $match: {
+          'seasons.episodes.status': true,
+          'seasons.episodes.releaseDate': { $gt: since, $lte: now },
+        } },
+        { $sort: { 'seasons.episodes.releaseDate': -1 } },
+        { $limit: limit },
+      ]);
+
+      const episodes = rows.map(row => ({
+        seriesId: row.seriesId,
+        seriesTitle: row.title,
+        posterUrl: row.posterUrl,
+        ...episodeSummary(row.seasons.episodes, row.seasons.seasonNumber),
+      }));
+
+      res.json({ since: since.toISOString(), episodes });
+    } catch (error) {
+      console.error('Failed to fetch new episodes:', error);
+      res.status(500).json({ error: 'Failed to fetch new episodes' });
+    }
+  });
+
+  router.get('/api/public/series/:seriesId', async (req, res) => {
+    try {
+      const series = await Series.findOne({ seriesId: req.params.seriesId, status: true });
+      if (!series) return res.status(404).json({ error: 'Series not found' });
+
+      const now = new Date();
+      const seasons = series.seasons
+        .map(season => ({
+          seasonNumber: season.seasonNumber,
+          title: season.title,
+          episodes: season.episodes
+            .filter(ep => isReleased(ep, now))
+            .map(ep => episodeSummary(ep, season.seasonNumber)),
+        }))
+        .filter(season => season.episodes.length > 0);
+
+      res.json({ series: { ...seriesSummary(series), seasons } });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch series' });
+    }
+  });
+
+  // Released, active episode of an active series, or null.
+  async function findPlayableEpisode(seriesId, episodeId) {
+    const series = await Series.findOne({ seriesId, status: true });
+    const found = series?.findEpisode(episodeId);
+    if (!found || !isReleased(found.episode)) return null;
+    return { series, season: found.season, episode: found.episode.toObject({ flattenMaps: true }) };
+  }
+
+  // Details only; the stream URL and DRM playback token come from a playback
+  // session so every stream counts against the viewer's limits.
+  router.get('/api/public/series/:seriesId/episodes/:episodeId', enforcePaywall, async (req, res) => {
+    try {
+      const found = await findPlayableEpisode(req.params.seriesId, req.params.episodeId);
+      if (!found) return res.status(404).json({ error: 'Episode not found' });
+
+      const { streamUrl, streamUrlLowQuality, playbackHeaders, ...episode } = found.episode;
+      episode.drm = playback.publicDrm(req, episode.drm);
+
+      res.json({
+        seriesId: found.series.seriesId,
+        episode: { ...episode, seasonNumber: found.season.seasonNumber },
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch episode' });
+    }
+  });
+
+  // Starts playback like the channel playback-session endpoint: a signed play
+  // URL and a playback token, bound to a stream session for logged-in viewers.
+  router.post('/api/public/series/:seriesId/episodes/:episodeId/playback-session', enforcePaywall, async (req, res) => {
+    try {
+      const found = await findPlayableEpisode(req.params.seriesId, req.params.episodeId);
+      if (!found) return res.status(404).json({ error: 'Episode not found' });
+
+      const { series, episode } = found;
+      const id = `${series.seriesId}/${episode.episodeId}`;
+      const opened = await openStreamSession(req, res, { resourceType: 'episode', resourceId: id });
+      if (!opened) return;
+      const streamSessionId = opened.streamSession ? opened.streamSession.id : null;
+
+      const lowQuality = Boolean(episode.streamUrlLowQuality)
+        && (await getSetting('forceLowQuality', 'false')) === 'true';
+      const { url, expiresAt } = streamProxy.issueVodPlaybackUrl(
+        req,
+        { type: 'episode', id },
+        { userId: req.paywallUserId, sessionId: streamSessionId, lowQuality }
+      );
+
+      res.json({
+        session: {
+          seriesId: series.seriesId,
+          episodeId: episode.episodeId,
+          playbackUrl: url,
+          lowQuality,
+          expiresAt,
+          drm: playback.publicDrm(req, episode.drm),
+          playbackToken: playback.issuePlaybackToken({ type: 'episode', id, userId: req.paywallUserId, streamSessionId }),
+          streamSessionId,
+          heartbeatIntervalSeconds: opened.heartbeatIntervalSeconds,
+        },
+      });
+    } catch (error) {
+      console.error('Episode playback session error:', error);
+      res.status(500).json({ error: 'Failed to start playback session' });
+    }
+  });
+
+  router.get('/api/public/series/:seriesId/episodes/:episodeId/next', async (req, res) => {
+    try {
+      const series = await Series.findOne({ seriesId: req.params.seriesId, status: true });
+      if (!series) return res.status(404).json({ error: 'Series not found' });
+
+      const now = new Date();
+      const list = series.episodeList();
+      const index = list.findIndex(({ episode }) => episode.episodeId === req.params.episodeId);
+      if (index === -1) return res.status(404).json({ error: 'Episode not found' });
+
+      const next = list.slice(index + 1).find(({ episode }) => isReleased(episode, now));
+      res.json({
+        next: next ? episodeSummary(next.episode, next.season.seasonNumber) : null,
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch next episode' });
+    }
+  });
+
+  return router;
+};
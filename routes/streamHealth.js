@@ -0,0 +1,61 @@
+// Stream health routes
+// Admin view of the background prober: per-channel badges, probe history and
+// on-demand re-checks.
+const express = require('express');
+const StreamHealth = require('../models/StreamHealth');
+
+module.exports = function streamHealthRoutes({ Channel, streamHealthService, requireAdmin, transformDoc, transformArray }) {
+  const router = express.Router();
+
+  router.get('/api/stream-health', requireAdmin('content-editor', 'support'), async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.status) query.status = req.query.status;
+      const rows = await StreamHealth.find(query).select('-history').sort({ status: 1, channelId: 1 });
+
+      const counts = await StreamHealth.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+      res.json({
+        monitor: streamHealthService.status(),
+        counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+        channels: transformArray(rows),
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch stream health' });
+    }
+  });
+
+  router.post('/api/stream-health/run', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const result = await streamHealthService.runOnce();
+      if (!result) return res.status(409).json({ error: 'A health check run is already in progress' });
+      res.json({ message: 'Health check run completed', monitor: streamHealthService.status() });
+    } catch (error) {
+      console.error('Stream health run error:', error);
+      res.status(500).json({ error: 'Failed to run health checks' });
+    }
+  });
+
+  router.get('/api/stream-health/:channelId', requireAdmin('content-editor', 'support'), async (req, res) => {
+    try {
+      const health = await StreamHealth.findOne({ channelId: req.params.channelId });
+      if (!health) return res.status(404).json({ error: 'No health data for this channel yet' });
+      res.json({ health: transformDoc(health) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch stream health' });
+    }
+  });
+
+  router.post('/api/stream-health/:channelId/check', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const channel = await Channel.findOne({ channelId: req.params.channelId }).lean();
+      if (!channel) return res.status(404).json({ error: 'Channel not found' });
+      const health = await streamHealthService.checkChannel(channel);
+      res.json({ health: transformDoc(health) });
+    } catch (error) {
+      console.error('Stream health check error:', error);
+      res.status(500).json({ error: 'Failed to check channel' });
+    }
+  });
+
+  return router;
+};
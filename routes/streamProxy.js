@@ -0,0 +1,153 @@
+// Stream proxy routes
+// Serves manifests and segments for channels in proxied mode behind signed
+// URLs. Manifests are buffered and rewritten so every URI in them is a signed
+// proxy URL with the same expiry; everything else is streamed through
+// untouched. Play URLs from playback sessions redirect to the sources of
+// direct channels, content items and episodes once the signature and session
+// check out, so only proxied channels cost backend bandwidth. URLs issued to a logged-in viewer only work for that
+// viewer's stream session, and stop when it ends (stopped, replaced, timed out
+// or removed by an admin).
+const express = require('express');
+const axios = require('axios');
+const { detectFormat } = require('../services/manifests');
+
+const REQUEST_TIMEOUT_MS = 15_000;
+const MAX_MANIFEST_BYTES = 5 * 1024 * 1024;
+
+const PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'cache-control', 'last-modified', 'etag'];
+
+function headersOf(channel) {
+  const headers = channel.playbackHeaders || {};
+  return headers instanceof Map ? Object.fromEntries(headers) : { ...headers };
+}
+
+function looksLikeManifest(url, contentType) {
+  return /mpegurl|dash\+xml/i.test(contentType || '') || /\.(m3u8|mpd)$/i.test(new URL(url).pathname);
+}
+
+function readBody(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        reject(new Error('Manifest too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+module.exports = function streamProxyRoutes({ streamProxy, playback, streamLimits }) {
+  const router = express.Router();
+
+  // Anonymous grants (free channels, paywall off) have no stream session;
+  // a viewer's grant must name a live session of that same viewer.
+  async function sessionEnded(grant) {
+    if (!grant.userId) return false;
+    return !grant.sessionId || !(await streamLimits.isSessionLive(grant.sessionId, grant.userId));
+  }
+
+  // Fetches an upstream URL for a verified grant: manifests come back
+  // rewritten to signed proxy URLs, anything else is piped through.
+  // requestedUrl is the upstream URL the client's own URL stands for, which
+  // relative references in the manifest resolve against (none for play URLs).
+  async function relay(req, res, grant, channel, upstreamUrl, requestedUrl = upstreamUrl) {
+    // Identity encoding keeps upstream content-length valid for passthrough.
+    const headers = { ...headersOf(channel), 'Accept-Encoding': 'identity' };
+    if (req.get('range')) headers.Range = req.get('range');
+
+    const upstream = await axios.get(upstreamUrl, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      responseType: 'stream',
+      validateStatus: () => true,
+    });
+
+    if (upstream.status >= 400) {
+      upstream.data.destroy();
+      return res.status(upstream.status === 404 ? 404 : 502).json({ error: `Upstream returned HTTP ${upstream.status}` });
+    }
+
+    const finalUrl = upstream.request?.res?.responseUrl || upstreamUrl;
+    const contentType = upstream.headers['content-type'];
+
+    if (looksLikeManifest(finalUrl, contentType)) {
+      const body = await readBody(upstream.data, MAX_MANIFEST_BYTES);
+      const format = detectFormat(body);
+      if (!format) return res.status(502).json({ error: 'Upstream did not return an HLS or DASH manifest' });
+
+      res.set('Content-Type', format === 'hls' ? 'application/vnd.apple.mpegurl' : 'application/dash+xml');
+      res.set('Cache-Control', 'no-cache');
+      return res.send(streamProxy.rewriteManifest(req, grant, format, body, finalUrl, requestedUrl));
+    }
+
+    res.status(upstream.status);
+    for (const name of PASSTHROUGH_HEADERS) {
+      if (upstream.headers[name]) res.set(name, upstream.headers[name]);
+    }
+    res.on('close', () => upstream.data.destroy());
+    upstream.data.pipe(res);
+  }
+
+  router.get('/api/public/proxy/:token/*', async (req, res) => {
+    try {
+      const grant = streamProxy.verifyToken(req.params.token);
+      if (!grant?.origin || !grant.channelId) return res.status(403).json({ error: 'Invalid or expired stream URL' });
+      if (await sessionEnded(grant)) return res.status(410).json({ error: 'Stream session has ended' });
+
+      const channel = await streamProxy.loadChannel(grant.channelId);
+      if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+      // Use the raw path so percent-encoding reaches the origin unchanged.
+      const prefix = `/api/public/proxy/${req.params.token}`;
+      const upstreamUrl = grant.origin + req.originalUrl.slice(req.originalUrl.indexOf(prefix) + prefix.length);
+
+      await relay(req, res, grant, channel, upstreamUrl);
+    } catch (error) {
+      console.error('Stream proxy error:', error.message);
+      if (!res.headersSent) res.status(502).json({ error: 'Upstream stream unavailable' });
+    }
+  });
+
+  router.get('/api/public/play/:token', async (req, res) => {
+    try {
+      const grant = streamProxy.verifyToken(req.params.token);
+      if (!grant?.quality) return res.status(403).json({ error: 'Invalid or expired stream URL' });
+      if (await sessionEnded(grant)) return res.status(410).json({ error: 'Stream session has ended' });
+
+      if (grant.type !== 'channel') {
+        const resource = await playback.loadResource(grant.type, grant.id);
+        if (!resource) return res.status(404).json({ error: 'Content not found' });
+
+        res.set('Cache-Control', 'no-store');
+        return res.redirect(302, grant.quality === 'low' && resource.streamUrlLowQuality ? resource.streamUrlLowQuality : resource.streamUrl);
+      }
+
+      const channel = await streamProxy.loadPlayableChannel(grant.channelId);
+      if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+      const source = grant.quality === 'low' && channel.playbackUrlLowQuality
+        ? channel.playbackUrlLowQuality
+        : channel.playbackUrl;
+
+      // The channel may have been switched to proxied mode since the session
+      // began; its manifest's URIs then carry this grant's user, session and
+      // expiry.
+      if (channel.proxyMode) return await relay(req, res, grant, channel, source, null);
+
+      res.set('Cache-Control', 'no-store');
+      res.redirect(302, source);
+    } catch (error) {
+      console.error('Play URL error:', error.message);
+      if (!res.headersSent) res.status(502).json({ error: 'Upstream stream unavailable' });
+    }
+  });
+
+  return router;
+};
@@ -1 +1,132 @@
 // Subcategories routes
+// Admin CRUD for subcategories under a main category. Renaming a subcategory
+// cascades the new name to every channel, content item and series using it.
+const express = require('express');
+const Joi = require('joi');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Content = require('../models/Content');
+const Series = require('../models/Series');
+
+const subCategoryValidationSchema = Joi.object({
+  parentCategory: Joi.string().required(),
+  key: Joi.string().pattern(/^[a-z0-9_]+$/).required(),
+  name: Joi.string().required(),
+  iconUrl: Joi.string().allow(''),
+  order: Joi.number(),
+  isActive: Joi.boolean(),
+});
+
+const reorderValidationSchema = Joi.object({
+  ids: Joi.array().items(Joi.string()).min(1).required(),
+});
+
+module.exports = function subCategoriesRoutes({ Channel, requireAdmin, transformDoc, transformArray }) {
+  const router = express.Router();
+  const catalogueModels = [Channel, Content, Series];
+
+  router.get('/api/subcategories', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.parentCategory) query.parentCategory = req.query.parentCategory;
+      const subCategories = await SubCategory.find(query).sort({ parentCategory: 1, order: 1, name: 1 });
+      res.json({ subCategories: transformArray(subCategories) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch subcategories' });
+    }
+  });
+
+  router.post('/api/subcategories', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = subCategoryValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const parent = await Category.findOne({ key: req.body.parentCategory });
+      if (!parent) return res.status(400).json({ error: 'Parent category does not exist' });
+
+      if (req.body.order === undefined) {
+        const last = await SubCategory.findOne({ parentCategory: parent.key }).sort({ order: -1 });
+        req.body.order = (last?.order ?? -1) + 1;
+      }
+
+      const newSubCategory = new SubCategory(req.body);
+      await newSubCategory.save();
+      res.status(201).json({ message: 'Subcategory created successfully', subCategory: transformDoc(newSubCategory) });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Subcategory key or name already exists in this category' });
+      res.status(500).json({ error: 'Failed to create subcategory' });
+    }
+  });
+
+  router.post('/api/subcategories/reorder', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = reorderValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      await SubCategory.bulkWrite(req.body.ids.map((id, order) => ({
+        updateOne: { filter: { _id: id }, update: { order } },
+      })));
+      res.json({ message: 'Subcategories reordered successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to reorder subcategories' });
+    }
+  });
+
+  router.put('/api/subcategories/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const { error } = subCategoryValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const subCategory = await SubCategory.findById(req.params.id);
+      if (!subCategory) return res.status(404).json({ error: 'Subcategory not found' });
+      if (req.body.parentCategory !== subCategory.parentCategory) {
+        return res.status(400).json({ error: 'Moving a subcategory to another category is not supported' });
+      }
+
+      const parent = await Category.findOne({ key: subCategory.parentCategory });
+      const oldName = subCategory.name;
+      subCategory.set(req.body);
+      await subCategory.save();
+
+      let updatedItems = 0;
+      if (parent && subCategory.name !== oldName) {
+        for (const model of catalogueModels) {
+          const result = await model.updateMany(
+            { mainCategory: parent.name, subCategory: oldName },
+            { subCategory: subCategory.name }
+          );
+          updatedItems += result.modifiedCount;
+        }
+      }
+
+      res.json({ message: 'Subcategory updated successfully', subCategory: transformDoc(subCategory), updatedItems });
+    } catch (error) {
+      if (error.code === 11000) return res.status(400).json({ error: 'Subcategory key or name already exists in this category' });
+      res.status(500).json({ error: 'Failed to update subcategory' });
+    }
+  });
+
+  router.delete('/api/subcategories/:id', requireAdmin('content-editor'), async (req, res) => {
+    try {
+      const subCategory = await SubCategory.findById(req.params.id);
+      if (!subCategory) return res.status(404).json({ error: 'Subcategory not found' });
+
+      // Same models as the rename cascade, so no content or series is orphaned.
+      const parent = await Category.findOne({ key: subCategory.parentCategory });
+      const counts = parent
+        ? await Promise.all(catalogueModels.map(model => model.countDocuments({ mainCategory: parent.name, subCategory: subCategory.name })))
+        : [];
+      const inUse = counts.reduce((sum, count) => sum + count, 0);
+      if (inUse > 0) {
+        return res.status(409).json({ error: `Subcategory is used by ${inUse} item(s) (channels, contents or series). Move them first.` });
+      }
+
+      await subCategory.deleteOne();
+      res.json({ message: 'Subcategory deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to delete subcategory' });
+    }
+  });
+
+  return router;
+};
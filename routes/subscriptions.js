@@ -0,0 +1,93 @@
+// Subscription routes
+// Expiry reports for retention work: users about to lapse, users who lapsed
+// recently without renewing, and the raw expiry event log.
+const express = require('express');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+
+const USER_REPORT_FIELDS = 'name phoneNumber installationId subscriptionEndDate last_login createdAt';
+
+function reportDays(value, fallback) {
+  const days = parseInt(value);
+  return days > 0 ? Math.min(days, 365) : fallback;
+}
+
+module.exports = function subscriptionsRoutes({ User, subscriptionService, requireAdmin, transformArray }) {
+  const router = express.Router();
+
+  async function userReport(req, res, filter, sort, days) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(USER_REPORT_FIELDS).sort(sort).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({
+      days,
+      users: transformArray(users),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  }
+
+  // ?days=7 (default)
+  router.get('/api/subscriptions/expiring', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const days = reportDays(req.query.days, 7);
+      await userReport(req, res, subscriptionService.expiringQuery(days), { subscriptionEndDate: 1 }, days);
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch expiring subscriptions' });
+    }
+  });
+
+  // ?days=30 (default)
+  router.get('/api/subscriptions/churned', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const days = reportDays(req.query.days, 30);
+      await userReport(req, res, subscriptionService.churnedQuery(days), { subscriptionEndDate: -1 }, days);
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch churned subscriptions' });
+    }
+  });
+
+  router.get('/api/subscriptions/events', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const filter = {};
+      if (req.query.type) filter.type = req.query.type;
+      if (req.query.userId) filter.user = req.query.userId;
+      if (req.query.bundle !== undefined) filter.bundle = req.query.bundle;
+
+      const [events, total] = await Promise.all([
+        SubscriptionEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        SubscriptionEvent.countDocuments(filter),
+      ]);
+
+      res.json({
+        events: transformArray(events),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch subscription events' });
+    }
+  });
+
+  router.post('/api/subscriptions/expire', requireAdmin('finance'), async (req, res) => {
+    try {
+      const result = await subscriptionService.runOnce();
+      if (!result) return res.status(409).json({ error: 'An expiry run is already in progress' });
+      res.json({ message: 'Expiry run completed', result });
+    } catch (error) {
+      console.error('Manual expiry run error:', error);
+      res.status(500).json({ error: 'Failed to run subscription expiry' });
+    }
+  });
+
+  router.get('/api/subscriptions/status', requireAdmin('finance'), (req, res) => {
+    res.json(subscriptionService.status());
+  });
+
+  return router;
+};
@@ -0,0 +1,78 @@
+// App user session routes
+// Refresh-token rotation and logout for the mobile app, plus admin listing and
+// revocation of a user's sessions (see services/userTokens.js).
+const express = require('express');
+const Joi = require('joi');
+
+const refreshValidation = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const logoutValidation = Joi.object({
+  // Ends every session of the account, not just this one.
+  all: Joi.boolean().default(false),
+});
+
+module.exports = function userAuthRoutes({ User, userTokens, authMiddleware, requireAdmin, transformArray }) {
+  const router = express.Router();
+
+  router.post('/api/auth/refresh', async (req, res) => {
+    try {
+      const { error, value } = refreshValidation.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const result = await userTokens.refresh(value.refreshToken);
+      if (result.status !== 'ok') {
+        return res.status(401).json({ error: 'Invalid or expired refresh token. Please log in again.' });
+      }
+      res.json(result.tokens);
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  });
+
+  router.post('/api/auth/logout', authMiddleware, async (req, res) => {
+    try {
+      const { error, value } = logoutValidation.validate(req.body || {});
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      if (value.all) {
+        await userTokens.revokeAll(req.user.user.id, 'logout');
+      } else if (req.authSessionId) {
+        await userTokens.revokeSession(req.authSessionId, 'logout');
+      }
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  });
+
+  // --- Admin ---------------------------------------------------------------
+  router.get('/api/users/:id/auth-sessions', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      res.json({ sessions: transformArray(await userTokens.activeSessions(user._id)) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch user sessions' });
+    }
+  });
+
+  router.post('/api/users/:id/revoke-sessions', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const revoked = await userTokens.revokeAll(user._id, 'admin');
+      console.log(`🔒 ${req.admin.email} revoked ${revoked} session(s) of user ${user.id}`);
+      res.json({ message: 'All sessions revoked', revoked });
+    } catch (error) {
+      console.error('Revoke sessions error:', error);
+      res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+  });
+
+  return router;
+};
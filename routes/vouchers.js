@@ -0,0 +1,289 @@
+// Voucher routes
+// Admin management of scratch-card voucher batches (generate, list, CSV export)
+// and the app's redeem endpoint. A redemption extends the user's subscription
+// the same way a completed payment does and is recorded as a zero-price
+// transaction with provider 'voucher'.
+const crypto = require('crypto');
+const express = require('express');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const Plan = require('../models/Plan');
+const Voucher = require('../models/Voucher');
+const VoucherBatch = require('../models/VoucherBatch');
+const { grantSubscription } = require('../services/payments');
+const { toMsisdn } = require('../services/providers');
+
+// No 0/O or 1/I, so codes survive being read off a scratch card.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+const MAX_BATCH_SIZE = 5000;
+
+const batchValidationSchema = Joi.object({
+  name: Joi.string().required(),
+  days: Joi.number().integer().min(1),
+  planId: Joi.string(),
+  quantity: Joi.number().integer().min(1).max(MAX_BATCH_SIZE).required(),
+  maxUses: Joi.number().integer().min(1).default(1),
+  expiresAt: Joi.date().greater('now'),
+  phoneNumber: Joi.string().allow(''),
+  prefix: Joi.string().pattern(/^[A-Za-z0-9]{1,6}$/),
+}).xor('days', 'planId');
+
+const batchUpdateValidationSchema = Joi.object({
+  name: Joi.string(),
+  isActive: Joi.boolean(),
+  expiresAt: Joi.date().allow(null),
+}).min(1);
+
+const redeemValidationSchema = Joi.object({
+  code: Joi.string().required(),
+});
+
+/** Upper-cases a code and drops the dashes/spaces people type between groups. */
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/** Groups a stored code in fours for printing, e.g. ABCD-EFGH-JKLM. */
+function formatCode(code) {
+  return code.match(/.{1,4}/g).join('-');
+}
+
+function randomCode(prefix = '') {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = prefix.toUpperCase();
+  for (const byte of bytes) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  return code;
+}
+
+async function generateUniqueCodes(quantity, prefix) {
+  const codes = new Set();
+  while (codes.size < quantity) {
+    const candidates = new Set();
+    while (codes.size + candidates.size < quantity) {
+      const code = randomCode(prefix);
+      if (!codes.has(code)) candidates.add(code);
+    }
+    const taken = new Set(
+      (await Voucher.find({ code: { $in: [...candidates] } }).select('code').lean()).map(v => v.code)
+    );
+    candidates.forEach(code => { if (!taken.has(code)) codes.add(code); });
+  }
+  return [...codes];
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = function vouchersRoutes({ User, Transaction, authMiddleware, requireAdmin, transformDoc, transformArray }) {
+  const router = express.Router();
+
+  // --- Admin ---------------------------------------------------------------
+  router.get('/api/voucher-batches', requireAdmin('finance'), async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const [batches, total] = await Promise.all([
+        VoucherBatch.find({}).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        VoucherBatch.countDocuments({}),
+      ]);
+
+      const usage = await Voucher.aggregate([
+        { $match: { batch: { $in: batches.map(b => b._id) } } },
+        { $group: { _id: '$batch', redemptions: { $sum: '$uses' }, usedCodes: { $sum: { $cond: [{ $gt: ['$uses', 0] }, 1, 0] } } } },
+      ]);
+      const usageByBatch = new Map(usage.map(u => [String(u._id), u]));
+
+      res.json({
+        batches: transformArray(batches).map(batch => ({
+          ...batch,
+          redemptions: usageByBatch.get(batch.id)?.redemptions || 0,
+          usedCodes: usageByBatch.get(batch.id)?.usedCodes || 0,
+        })),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch voucher batches' });
+    }
+  });
+
+  router.post('/api/voucher-batches', requireAdmin('finance'), async (req, res) => {
+    try {
+      const { error, value } = batchValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      let durationDays = value.days;
+      let bundles = [];
+      if (value.planId) {
+        const plan = await Plan.findOne({ planId: value.planId });
+        if (!plan) return res.status(400).json({ error: `Unknown plan: ${value.planId}` });
+        durationDays = plan.durationDays;
+        bundles = plan.bundles;
+      }
+
+      const batch = new VoucherBatch({
+        name: value.name,
+        planId: value.planId || '',
+        durationDays,
+        bundles,
+        quantity: value.quantity,
+        maxUses: value.maxUses,
+        expiresAt: value.expiresAt,
+        phoneNumber: value.phoneNumber ? toMsisdn(value.phoneNumber) : '',
+        createdBy: req.admin.id,
+      });
+      await batch.save();
+
+      try {
+        const codes = await generateUniqueCodes(value.quantity, value.prefix);
+        await Voucher.insertMany(codes.map(code => ({ code, batch: batch._id, maxUses: batch.maxUses })));
+      } catch (codeError) {
+        await Voucher.deleteMany({ batch: batch._id });
+        await batch.deleteOne();
+        throw codeError;
+      }
+
+      console.log(`🎟️ Voucher batch "${batch.name}" created with ${batch.quantity} code(s) by ${req.admin.email}`);
+      res.status(201).json({ message: 'Voucher batch created successfully', batch: transformDoc(batch) });
+    } catch (error) {
+      console.error('Voucher batch creation error:', error);
+      res.status(500).json({ error: 'Failed to create voucher batch' });
+    }
+  });
+
+  router.put('/api/voucher-batches/:id', requireAdmin('finance'), async (req, res) => {
+    try {
+      const { error, value } = batchUpdateValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const batch = await VoucherBatch.findByIdAndUpdate(req.params.id, value, { new: true });
+      if (!batch) return res.status(404).json({ error: 'Voucher batch not found' });
+      res.json({ message: 'Voucher batch updated successfully', batch: transformDoc(batch) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to update voucher batch' });
+    }
+  });
+
+  router.get('/api/voucher-batches/:id/export', requireAdmin('finance'), async (req, res) => {
+    try {
+      const batch = await VoucherBatch.findById(req.params.id);
+      if (!batch) return res.status(404).json({ error: 'Voucher batch not found' });
+
+      const vouchers = await Voucher.find({ batch: batch._id }).sort({ createdAt: 1, _id: 1 }).lean();
+      const header = ['code', 'batch', 'planId', 'durationDays', 'bundles', 'maxUses', 'uses', 'expiresAt', 'phoneNumber'];
+      const rows = vouchers.map(voucher => [
+        formatCode(voucher.code),
+        batch.name,
+        batch.planId,
+        batch.durationDays,
+        batch.bundles.join(' '),
+        voucher.maxUses,
+        voucher.uses,
+        batch.expiresAt ? batch.expiresAt.toISOString() : '',
+        batch.phoneNumber,
+      ]);
+
+      const slug = batch.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'vouchers';
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${slug}-${batch.id}.csv"`);
+      res.send([header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n');
+    } catch (error) {
+      console.error('Voucher export error:', error);
+      res.status(500).json({ error: 'Failed to export voucher batch' });
+    }
+  });
+
+  // Lets support look up a code a customer reads out over the phone.
+  router.get('/api/vouchers/:code', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const voucher = await Voucher.findOne({ code: normalizeCode(req.params.code) }).populate('batch');
+      if (!voucher) return res.status(404).json({ error: 'Voucher not found' });
+
+      const transactions = await Transaction.find({ provider: 'voucher', providerReference: voucher.code })
+        .sort({ createdAt: -1 })
+        .limit(50);
+      res.json({ voucher: transformDoc(voucher), transactions: transformArray(transactions) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch voucher' });
+    }
+  });
+
+  // --- Public --------------------------------------------------------------
+  // Authenticated with the device-login token.
+  router.post('/api/public/vouchers/redeem', authMiddleware, async (req, res) => {
+    try {
+      const { error, value } = redeemValidationSchema.validate(req.body);
+      if (error) return res.status(400).json({ error: error.details[0].message });
+
+      const user = await User.findById(req.user.user?.id);
+      if (!user) return res.status(401).json({ error: 'User not found' });
+
+      const code = normalizeCode(value.code);
+      const voucher = code ? await Voucher.findOne({ code }) : null;
+      if (!voucher) return res.status(404).json({ error: 'Invalid voucher code' });
+
+      const batch = await VoucherBatch.findById(voucher.batch);
+      if (!batch || !batch.isActive) return res.status(410).json({ error: 'This voucher is no longer valid' });
+      if (batch.expiresAt && batch.expiresAt <= new Date()) {
+        return res.status(410).json({ error: 'This voucher has expired' });
+      }
+      if (batch.phoneNumber && toMsisdn(user.phoneNumber) !== batch.phoneNumber) {
+        return res.status(403).json({ error: 'This voucher is locked to another phone number' });
+      }
+      if (voucher.redeemedBy.some(id => id.equals(user._id))) {
+        return res.status(409).json({ error: 'You have already redeemed this voucher' });
+      }
+
+      // Claim one use atomically so two devices cannot spend the last use.
+      const claimed = await Voucher.findOneAndUpdate(
+        { _id: voucher._id, $expr: { $lt: ['$uses', '$maxUses'] }, redeemedBy: { $ne: user._id } },
+        { $inc: { uses: 1 }, $push: { redeemedBy: user._id }, lastRedeemedAt: new Date() },
+        { new: true }
+      );
+      if (!claimed) return res.status(409).json({ error: 'This voucher has already been used' });
+
+      try {
+        const plan = batch.planId ? await Plan.findOne({ planId: batch.planId }).lean() : null;
+        grantSubscription(user, batch.bundles, batch.durationDays, new Date(), plan);
+        await user.save();
+      } catch (grantError) {
+        await Voucher.updateOne({ _id: voucher._id }, { $inc: { uses: -1 }, $pull: { redeemedBy: user._id } });
+        throw grantError;
+      }
+
+      const now = new Date();
+      await new Transaction({
+        orderId: `voucher-${uuidv4()}`,
+        phoneNumber: user.phoneNumber,
+        name: user.name,
+        planId: batch.planId || undefined,
+        packageTitle: batch.name,
+        price: 0,
+        durationDays: batch.durationDays,
+        bundles: batch.bundles.length ? batch.bundles : undefined,
+        status: 'COMPLETED',
+        completedAt: now,
+        provider: 'voucher',
+        providerReference: code,
+        deviceId: user.deviceId,
+        installationId: user.installationId,
+      }).save();
+
+      console.log(`🎟️ Voucher ${formatCode(code)} redeemed by user ${user.id} (${batch.durationDays} days)`);
+      res.json({
+        message: 'Voucher redeemed successfully',
+        days: batch.durationDays,
+        bundles: batch.bundles,
+        user: transformDoc(user),
+      });
+    } catch (error) {
+      console.error('Voucher redeem error:', error);
+      res.status(500).json({ error: 'Failed to redeem voucher' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,63 @@
+// Webhook event routes
+// Admin view of stored payment webhook deliveries, with replay for events
+// whose processing failed.
+const express = require('express');
+const WebhookEvent = require('../models/WebhookEvent');
+
+module.exports = function webhookEventsRoutes({ payments, requireAdmin, transformDoc, transformArray }) {
+  const router = express.Router();
+
+  router.get('/api/webhook-events', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const filter = {};
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.provider) filter.provider = req.query.provider;
+      if (req.query.orderId) filter.orderId = req.query.orderId;
+
+      const [events, total] = await Promise.all([
+        WebhookEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        WebhookEvent.countDocuments(filter),
+      ]);
+
+      res.json({
+        events: transformArray(events),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch webhook events' });
+    }
+  });
+
+  router.get('/api/webhook-events/:id', requireAdmin('finance', 'support'), async (req, res) => {
+    try {
+      const event = await WebhookEvent.findById(req.params.id);
+      if (!event) return res.status(404).json({ error: 'Webhook event not found' });
+      res.json({ event: transformDoc(event) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch webhook event' });
+    }
+  });
+
+  // Only failed events are replayable; rejected ones never passed verification.
+  router.post('/api/webhook-events/:id/replay', requireAdmin('finance'), async (req, res) => {
+    try {
+      const event = await WebhookEvent.findById(req.params.id);
+      if (!event) return res.status(404).json({ error: 'Webhook event not found' });
+      if (event.status !== 'failed') {
+        return res.status(409).json({ error: `Only failed events can be replayed (this one is ${event.status})` });
+      }
+
+      event.replayedBy = req.admin.id;
+      await payments.processWebhookEvent(event);
+      res.json({ message: `Replay ${event.status}`, event: transformDoc(event) });
+    } catch (error) {
+      console.error('Webhook replay error:', error);
+      res.status(500).json({ error: 'Failed to replay webhook event' });
+    }
+  });
+
+  return router;
+};
@@ -32,6 +32,19 @@ async function seed() {
     const contents = db.collection('contents');
     const banners = db.collection('banners');
 
+    // Main categories (subcategories reference these by key)
+    const categories = db.collection('categories');
+    const categoryData = [
+      { key: 'sports', name: 'Sports', order: 0, iconUrl: '', isActive: true },
+      { key: 'movies', name: 'Movies', order: 1, iconUrl: '', isActive: true },
+      { key: 'series', name: 'Series', order: 2, iconUrl: '', isActive: true },
+      { key: 'trending', name: 'Trending', order: 3, iconUrl: '', isActive: true }
+    ];
+    for (const c of categoryData) {
+      await categories.updateOne({ key: c.key }, { $set: c }, { upsert: true });
+    }
+    console.log('Seeded categories');
+
     // Subcategories per your spec
     const subData = [
       { parentCategory: 'sports', name: 'All', key: keyFromName('All'), order: 0 },
@@ -45,7 +58,9 @@ async function seed() {
 
       { parentCategory: 'series', name: 'All', key: keyFromName('All'), order: 0 },
       { parentCategory: 'series', name: 'Tamthilia', key: keyFromName('Tamthilia'), order: 1 },
-      { parentCategory: 'series', name: 'Series za Mbele', key: keyFromName('Series za Mbele'), order: 2 }
+      { parentCategory: 'series', name: 'Series za Mbele', key: keyFromName('Series za Mbele'), order: 2 },
+
+      { parentCategory: 'trending', name: 'All', key: keyFromName('All'), order: 0 }
     ];
 
     for (const s of subData) {
@@ -53,54 +68,45 @@ async function seed() {
     }
     console.log('Seeded subcategories');
 
-    // Channels
+    // Channels (shape matches the Channel schema in server.js). mainCategory and
+    // subCategory hold category *names*, as channelValidationSchema expects.
     const sampleChannels = [
       {
         channelId: 'ch_drm_wv',
         name: 'Test DRM Widevine Channel',
         description: 'A sample Widevine-protected channel (sports - Mechi za Leo)',
-        category: 'sports',
-        subCategory: keyFromName('Mechi za Leo'),
+        mainCategory: 'Sports',
+        subCategory: 'Mechi za Leo',
         playbackUrl: 'https://test-cdn.example.com/drm/wv/stream.mpd',
-        drmEnabled: true,
-        drmProvider: 'widevine',
-        drmLicenseUrl: 'https://license-server.example.com/widevine',
-        drmHeaders: { Authorization: 'Bearer testToken' },
-        cookieValue: 'sessionid=abc123',
-        customUserAgent: 'TownmaxPlayer/1.0',
+        drm: { enabled: true, provider: 'widevine', key: '', licenseServer: 'https://license-server.example.com/widevine' },
+        playbackHeaders: { Authorization: 'Bearer testToken', Cookie: 'sessionid=abc123', 'User-Agent': 'TownmaxPlayer/1.0' },
         thumbnailUrl: '/uploads/channel1.jpg',
-        isPremium: false,
-        isActive: true,
+        status: true,
         createdAt: new Date()
       },
       {
         channelId: 'ch_drm_pr',
         name: 'Test DRM PlayReady Channel',
         description: 'PlayReady channel requiring Origin and Referer headers (sports - Nje)',
-        category: 'sports',
-        subCategory: keyFromName('Nje'),
+        mainCategory: 'Sports',
+        subCategory: 'Nje',
         playbackUrl: 'https://test-cdn.example.com/drm/pr/stream.mpd',
-        drmEnabled: true,
-        drmProvider: 'playready',
-        drmLicenseUrl: 'https://license-server.example.com/playready',
-        origin: 'https://example-origin.com',
-        referrer: 'https://example-referrer.com/somepage',
+        drm: { enabled: true, provider: 'playready', key: '', licenseServer: 'https://license-server.example.com/playready' },
+        playbackHeaders: { Origin: 'https://example-origin.com', Referer: 'https://example-referrer.com/somepage' },
         thumbnailUrl: '/uploads/channel2.jpg',
-        isPremium: false,
-        isActive: true,
+        status: true,
         createdAt: new Date()
       },
       {
         channelId: 'ch_live_hls',
         name: 'Test Non-DRM Live HLS Channel',
         description: 'Regular HLS live channel (sports - Ndani)',
-        category: 'sports',
-        subCategory: keyFromName('Ndani'),
+        mainCategory: 'Sports',
+        subCategory: 'Ndani',
         playbackUrl: 'https://cdn.example.com/live/channel/index.m3u8',
-        drmEnabled: false,
+        drm: { enabled: false, provider: 'none', key: '', licenseServer: '' },
         thumbnailUrl: '/uploads/channel3.jpg',
-        isPremium: false,
-        isActive: true,
+        status: true,
         createdAt: new Date()
       },
       // Trending-only channel
@@ -108,39 +114,41 @@ async function seed() {
         channelId: 'ch_trend_1',
         name: 'Trending Channel One',
         description: 'Exclusive trending channel',
-        category: 'trending',
-        subCategory: 'all',
+        mainCategory: 'Trending',
+        subCategory: 'All',
         playbackUrl: 'https://cdn.example.com/live/trending1/index.m3u8',
-        drmEnabled: false,
+        drm: { enabled: false, provider: 'none', key: '', licenseServer: '' },
         thumbnailUrl: '/uploads/channel_trend.jpg',
-        isPremium: false,
-        isActive: true,
+        status: true,
         createdAt: new Date()
       }
     ];
 
     for (const c of sampleChannels) {
-      await channels.updateOne({ channelId: c.channelId }, { $set: c }, { upsert: true });
+      // Drops the pre-category-tree fields from channels seeded by older versions.
+      await channels.updateOne(
+        { channelId: c.channelId },
+        { $set: c, $unset: { category: '', drmEnabled: '', drmProvider: '', drmLicenseUrl: '', drmHeaders: '', cookieValue: '', customUserAgent: '', origin: '', referrer: '', isPremium: '', isActive: '' } },
+        { upsert: true }
+      );
     }
     console.log('Seeded channels');
 
-    // Contents
+    // Contents (shape matches models/Content.js)
     const sampleContents = [
       {
         contentId: 'movie_ck_1',
         title: 'Test ClearKey Movie',
         description: 'ClearKey DRM protected movie',
         type: 'movie',
-        category: 'movies',
-        subCategory: keyFromName('Bongo Movies'),
+        mainCategory: 'Movies',
+        subCategory: 'Bongo Movies',
         streamUrl: 'https://cdn.example.com/hls/clearkey/index.m3u8',
-        drmEnabled: true,
-        drmProvider: 'clearkey',
-        drmLicenseUrl: 'https://license-server.example.com/clearkey',
-        drmHeaders: { 'X-Custom': 'value' },
+        drm: { enabled: true, provider: 'clearkey', key: '', licenseServer: 'https://license-server.example.com/clearkey' },
+        playbackHeaders: { 'X-Custom': 'value' },
         posterUrl: '/uploads/movie1.jpg',
         isPremium: false,
-        isActive: true,
+        status: true,
         createdAt: new Date()
       },
       {
@@ -148,13 +156,13 @@ async function seed() {
         title: 'Test HLS Movie',
         description: 'Non-DRM HLS movie (Movies za Mbele)',
         type: 'movie',
-        category: 'movies',
-        subCategory: keyFromName('Movies za Mbele'),
+        mainCategory: 'Movies',
+        subCategory: 'Movies za Mbele',
         streamUrl: 'https://cdn.example.com/hls/movie1/index.m3u8',
-        drmEnabled: false,
+        drm: { enabled: false, provider: 'none', key: '', licenseServer: '' },
         posterUrl: '/uploads/movie2.jpg',
         isPremium: false,
-        isActive: true,
+        status: true,
         createdAt: new Date()
       },
       // Trending content
@@ -163,13 +171,13 @@ async function seed() {
         title: 'Trending Short One',
         description: 'Exclusive trending content',
         type: 'clip',
-        category: 'trending',
-        subCategory: 'all',
+        mainCategory: 'Trending',
+        subCategory: 'All',
         streamUrl: 'https://cdn.example.com/hls/trending1/index.m3u8',
-        drmEnabled: false,
+        drm: { enabled: false, provider: 'none', key: '', licenseServer: '' },
         posterUrl: '/uploads/trend1.jpg',
         isPremium: false,
-        isActive: true,
+        status: true,
         createdAt: new Date()
       }
     ];
@@ -5,6 +5,31 @@
  * ... (previous patches)
  * 36) PATCHED: Removed authMiddleware for a login-free admin panel.
  * 37) PATCHED: Added view tracking for channels.
+ * 38) PATCHED: Restored admin authentication with Admin accounts, JWT login and per-route roles.
+ * 39) PATCHED: Added the VOD content catalogue (routes/contents.js).
+ * 40) PATCHED: Added series / seasons / episodes (routes/series.js).
+ * 41) PATCHED: Added deep-link banners with target validation (routes/banners.js).
+ * 42) PATCHED: Added the managed category tree; channels must reference a known category.
+ * 43) PATCHED: Added M3U playlist import for channels (routes/playlists.js).
+ * 44) PATCHED: Added channel export (M3U / JSON) and JSON backup restore with diff preview.
+ * 45) PATCHED: Added XMLTV EPG ingestion and now/next endpoints (services/epg.js, routes/epg.js).
+ * 46) PATCHED: Added background stream health monitor with automatic low-quality failover.
+ * 47) PATCHED: ClearKey keys no longer leave the server; added a token-bound ClearKey license endpoint.
+ * 48) PATCHED: Added PlayReady provider and a Widevine/PlayReady license proxy that injects channel headers.
+ * 49) PATCHED: Added per-channel proxyMode; manifests and segments are fetched with playbackHeaders server-side.
+ * 50) PATCHED: Public channel list no longer exposes stream URLs; added signed playback sessions.
+ * 51) PATCHED: Subscription packages moved to a Plan collection; transactions keep planId and a price snapshot.
+ * 52) PATCHED: Per-channel/category entitlements (free, premium, bundles) and bundle plans; lists report locked channels.
+ * 53) PATCHED: ZenoPay webhooks are verified, logged and applied idempotently; failed events can be replayed.
+ * 54) PATCHED: Background reconciler checks stale PENDING orders with the gateway and expires abandoned ones.
+ * 55) PATCHED: Payment provider layer (ZenoPay + sandbox adapters); sandbox settlement replaces mock-complete.
+ * 56) PATCHED: Voucher batches with CSV export and app-side redemption recorded as zero-price transactions.
+ * 57) PATCHED: Subscription expiry job; paid/free counts use subscriptionEndDate; expiring and churn reports.
+ * 58) PATCHED: Per-plan device and concurrent stream limits; playback sessions need heartbeats.
+ * 59) PATCHED: Restore purchase on a new install via SMS one-time code (pluggable SMS transport).
+ * 60) PATCHED: Short-lived user access tokens with rotating refresh tokens, logout and admin revocation.
+ * 61) PATCHED: Push notifications are delivered to registered device tokens (FCM / log / file transports).
+ * 62) PATCHED: Scheduled and recurring notifications are dispatched by a background scheduler; cancel/reschedule.
  */
 
 const express = require('express');
@@ -18,13 +43,64 @@ const axios = require('axios');
 const crypto = require('crypto');
 require('dotenv').config();
 
+const Admin = require('./models/Admin');
+const { ADMIN_ROLES } = require('./models/Admin');
+const contentsRoutes = require('./routes/contents');
+const seriesRoutes = require('./routes/series');
+const bannersRoutes = require('./routes/banners');
+const Category = require('./models/Category');
+const SubCategory = require('./models/SubCategory');
+const categoriesRoutes = require('./routes/categories');
+const subCategoriesRoutes = require('./routes/subcategories');
+const playlistsRoutes = require('./routes/playlists');
+const epgRoutes = require('./routes/epg');
+const { createEpgService } = require('./services/epg');
+const StreamHealth = require('./models/StreamHealth');
+const streamHealthRoutes = require('./routes/streamHealth');
+const { createStreamHealthService } = require('./services/streamHealth');
+const licensesRoutes = require('./routes/licenses');
+const { createPlaybackService } = require('./services/playback');
+const streamProxyRoutes = require('./routes/streamProxy');
+const { createStreamProxyService } = require('./services/streamProxy');
+const Plan = require('./models/Plan');
+const plansRoutes = require('./routes/plans');
+const vouchersRoutes = require('./routes/vouchers');
+const { createSubscriptionService, paidUserFilter, freeUserFilter } = require('./services/subscriptions');
+const subscriptionsRoutes = require('./routes/subscriptions');
+const { createStreamLimitService, sessionSummary } = require('./services/streamLimits');
+const devicesRoutes = require('./routes/devices');
+const { createSmsTransport } = require('./services/sms');
+const { createRestoreService } = require('./services/accountRestore');
+const restoreRoutes = require('./routes/restore');
+const { createUserTokenService } = require('./services/userTokens');
+const userAuthRoutes = require('./routes/userAuth');
+const { createPushTransport } = require('./services/push');
+const { createNotificationDeliveryService } = require('./services/notifications');
+const { createNotificationScheduler, nextOccurrence, isValidTimeZone, DEFAULT_TIMEZONE } = require('./services/notificationScheduler');
+const pushRoutes = require('./routes/push');
+const { createEntitlementService, ACCESS_LEVELS, PREMIUM_ACCESS } = require('./services/entitlements');
+const WebhookEvent = require('./models/WebhookEvent');
+const webhookEventsRoutes = require('./routes/webhookEvents');
+const { createPaymentService } = require('./services/payments');
+const { createProviderRegistry } = require('./services/providers');
+const { createReconcilerService } = require('./services/reconciler');
+
 const app = express();
+// Signs admin and app logins, and playback, stream, sandbox and OTP secrets
+// are derived from it, so a guessable fallback is only allowed in development.
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'development') {
+  throw new Error('JWT_SECRET must be set (only NODE_ENV=development runs without one)');
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret';
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET is not set: using the development secret, anyone can forge tokens');
+}
 
 // --- Middleware ------------------------------------------------------------
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '1mb' }));
+// rawBody is kept for webhook signature checks.
+app.use(express.json({ limit: '1mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.set('trust proxy', true);
 
 // --- MongoDB Connection ----------------------------------------------------
@@ -38,7 +114,8 @@ mongoose.connect(MONGODB_URI)
 // --- Helpers ---------------------------------------------------------------
 function transformDoc(doc) {
   if (!doc) return null;
-  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  // flattenMaps keeps Map fields (playbackHeaders) from serializing as {}.
+  const obj = doc.toObject ? doc.toObject({ flattenMaps: true }) : { ...doc };
   delete obj.password;
   obj.id = obj._id?.toString?.() || obj.id;
   delete obj._id;
@@ -49,21 +126,6 @@ function transformArray(docs) {
   return (docs || []).map(transformDoc);
 }
 
-function formatPhone(phone) {
-  if (!phone) return '';
-  const digits = phone.replace(/\D/g, '');
-  if (digits.startsWith('255') && digits.length === 12) {
-    return '0' + digits.substring(3);
-  }
-  if ((digits.startsWith('7') || digits.startsWith('6')) && digits.length === 9) {
-    return '0' + digits;
-  }
-  if (digits.startsWith('07') && digits.length === 10) {
-    return digits;
-  }
-  return phone;
-}
-
 // --- Schemas & Models ------------------------------------------------------
 const channelSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -72,7 +134,7 @@ const channelSchema = new mongoose.Schema({
   playbackUrlLowQuality: { type: String },
   drm: {
     enabled: { type: Boolean, default: false },
-    provider: { type: String, enum: ['clearkey', 'none', 'widevine'], default: 'none' },
+    provider: { type: String, enum: ['clearkey', 'none', 'widevine', 'playready'], default: 'none' },
     key: { type: String, default: '' },
     licenseServer: { type: String, default: '' },
   },
@@ -84,6 +146,13 @@ const channelSchema = new mongoose.Schema({
   status: { type: Boolean, default: true },
   tag: { type: String, default: '' },
   position: { type: Number, default: 999 },
+  // XMLTV <channel id>; when empty the EPG is matched on channelId.
+  epgChannelId: { type: String, default: '' },
+  // Serve the stream through /api/public/proxy with playbackHeaders applied server-side.
+  proxyMode: { type: Boolean, default: false },
+  // Entitlement: 'inherit' uses the main category's access level.
+  access: { type: String, enum: ['inherit', ...ACCESS_LEVELS], default: 'inherit' },
+  bundles: { type: [String], default: [] },
   // <<-- PATCH A: ADDED viewCount -->>
   viewCount: { type: Number, default: 0, index: -1 },
 
@@ -109,16 +178,42 @@ const sliderSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Repeats at a wall-clock time in `timezone`, every day or on days_of_week
+// (0 = Sunday).
+const notificationRecurrenceSchema = new mongoose.Schema({
+  frequency: { type: String, enum: ['daily', 'weekly'], required: true },
+  time: { type: String, required: true }, // HH:mm
+  days_of_week: [{ type: Number, min: 0, max: 6 }],
+  timezone: { type: String, default: DEFAULT_TIMEZONE },
+  ends_at: { type: Date },
+}, { _id: false });
+
 const notificationSchema = new mongoose.Schema({
   title: { type: String, required: true },
   message: { type: String, required: true },
   target_audience: { type: String, enum: ['all', 'paid', 'free'], default: 'all' },
-  status: { type: String, enum: ['draft', 'sent', 'scheduled'], default: 'draft' },
+  // 'completed': a recurring series that has passed its ends_at.
+  status: { type: String, enum: ['draft', 'scheduled', 'sending', 'sent', 'failed', 'cancelled', 'completed'], default: 'draft' },
+  // Delivery results (services/notifications.js): sent_count is devices
+  // delivered to, target_count the push tokens attempted.
   sent_count: { type: Number, default: 0 },
+  target_count: { type: Number, default: 0 },
+  failed_count: { type: Number, default: 0 },
+  pruned_count: { type: Number, default: 0 },
+  last_error: { type: String, default: '' },
   scheduled_at: { type: Date },
+  // Refreshed while a send runs; a stale one marks a send cut off by a restart.
+  sending_started_at: { type: Date },
   sent_at: { type: Date },
+  // A recurring series is never sent itself: scheduled_at is its next
+  // occurrence, and each occurrence is sent as a notification with `parent` set.
+  recurrence: { type: notificationRecurrenceSchema, default: null },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification' },
 }, { timestamps: true });
 
+notificationSchema.index({ status: 1, scheduled_at: 1 });
+notificationSchema.index({ parent: 1, scheduled_at: 1 }, { unique: true, partialFilterExpression: { parent: { $exists: true } } });
+
 const userSchema = new mongoose.Schema({
   name: { type: String },
   installationId: { type: String, unique: true, sparse: true },
@@ -130,16 +225,49 @@ const userSchema = new mongoose.Schema({
   username: { type: String, sparse: true },
   email: { type: String, sparse: true },
   trialSecondsConsumed: { type: Number, default: 0 },
+  // Bundle passes bought through plans with bundles; is_premium covers the full pass.
+  bundleSubscriptions: [{
+    _id: false,
+    bundle: { type: String, required: true },
+    endDate: { type: Date, required: true },
+  }],
+  // Device / concurrent stream limits of the plan behind the running pass
+  // (services/streamLimits.js); unset uses the server defaults.
+  maxStreams: { type: Number },
+  maxDevices: { type: Number },
+  // Set when this account's purchase was restored onto another installation.
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Tokens issued before this (sessionless, pre-refresh-token ones) are rejected.
+  tokensValidAfter: { type: Date },
 }, { timestamps: true });
 
 const transactionSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true },
-  phoneNumber: { type: String, required: true },
-  name: { type: String, required: true },
+  // Voucher redemptions come from app users who may not have given either.
+  phoneNumber: { type: String, required: function () { return this.provider !== 'voucher'; } },
+  name: { type: String, required: function () { return this.provider !== 'voucher'; } },
+  // Plan snapshot taken at checkout; later plan edits do not affect the order.
+  planId: { type: String, index: true },
   packageTitle: { type: String },
   price: { type: Number },
+  currency: { type: String },
+  durationDays: { type: Number },
+  bundles: { type: [String], default: undefined },
+  completedAt: { type: Date },
+  // When the plan was granted for a COMPLETED order; fulfilmentError is set
+  // instead if granting failed (see services/payments.js).
+  fulfilledAt: { type: Date },
+  fulfilmentError: { type: String },
+  // Last order-status lookup by the reconciler (services/reconciler.js).
+  lastReconciledAt: { type: Date },
+  gatewayStatus: { type: String },
   status: { type: String, enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', 'EXPIRED'], default: 'PENDING' },
+  // Payment provider adapter name (services/providers) and its reference for the charge.
+  provider: { type: String, default: 'zenopay' },
+  providerReference: { type: String },
   token: { type: String },
+  // When the status endpoint handed out the login for this order (only once).
+  tokensIssuedAt: { type: Date },
   deviceId: { type: String },
   installationId: { type: String },
 }, { timestamps: true });
@@ -151,26 +279,219 @@ const Notification = mongoose.model('Notification', notificationSchema);
 const User = mongoose.model('User', userSchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
-// --- Authentication Middleware (Kept for reference, but no longer used in admin routes) ---
-function authMiddleware(req, res, next) {
+// --- Authentication Middleware (mobile app users) --------------------------
+// Access tokens are checked against their login session, so revoked ones fail
+// here (see services/userTokens.js). req.user keeps the { user: { id } } shape.
+const userTokens = createUserTokenService({ User, JWT_SECRET });
+
+async function authMiddleware(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ error: 'Authorization token required' });
     }
 
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET); // Correct order: verify(token, secret)
-    req.user = decoded;
+    const auth = await userTokens.authenticate(authHeader.substring(7));
+    if (!auth) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = { user: { id: auth.userId } };
+    req.authSessionId = auth.sessionId;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    return res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+// --- Admin Authentication & Roles ------------------------------------------
+// Admin tokens carry { admin: { id, role } } so they can never be confused with
+// device-login tokens ({ user: { id } }). The account is re-read on every request
+// so deactivating an admin or changing their role takes effect immediately.
+// 'owner' passes every role check.
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '12h';
+
+function requireAdmin(...roles) {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Admin authorization token required' });
+      }
+
+      let decoded;
+      try {
+        decoded = jwt.verify(authHeader.substring(7), JWT_SECRET);
+      } catch {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+      if (!decoded.admin?.id) {
+        return res.status(401).json({ error: 'Admin authorization token required' });
+      }
+
+      const admin = await Admin.findById(decoded.admin.id);
+      if (!admin || !admin.is_active) {
+        return res.status(401).json({ error: 'Admin account not found or disabled' });
+      }
+
+      if (admin.role !== 'owner' && roles.length > 0 && !roles.includes(admin.role)) {
+        return res.status(403).json({ error: 'Insufficient permissions for this action' });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (error) {
+      console.error('Admin auth error:', error.message);
+      res.status(500).json({ error: 'Admin authentication failed' });
+    }
+  };
+}
+
+function signAdminToken(admin) {
+  return jwt.sign(
+    { admin: { id: admin.id, role: admin.role } },
+    JWT_SECRET,
+    { expiresIn: ADMIN_TOKEN_TTL }
+  );
+}
+
+// Creates the first owner account from ADMIN_EMAIL / ADMIN_PASSWORD when the
+// collection is empty, so a fresh deployment is never left without an admin.
+async function initializeOwnerAdmin() {
+  try {
+    const adminCount = await Admin.countDocuments();
+    if (adminCount > 0) return;
+
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) {
+      console.warn('⚠️ No admin accounts exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the owner account.');
+      return;
+    }
+
+    const owner = new Admin({ email, name: 'Owner', role: 'owner' });
+    await owner.setPassword(password);
+    await owner.save();
+    console.log(`Owner admin account created for ${owner.email}`);
+  } catch (error) {
+    console.error('Error initializing owner admin:', error);
   }
 }
 
+initializeOwnerAdmin();
+
+const adminLoginValidation = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required(),
+});
+
+const adminValidationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  name: Joi.string().allow(''),
+  password: Joi.string().min(8).required(),
+  role: Joi.string().valid(...ADMIN_ROLES).required(),
+  is_active: Joi.boolean(),
+});
+
+const adminUpdateValidationSchema = Joi.object({
+  name: Joi.string().allow(''),
+  password: Joi.string().min(8),
+  role: Joi.string().valid(...ADMIN_ROLES),
+  is_active: Joi.boolean(),
+});
+
+// --- ADMIN AUTH ROUTES -----------------------------------------------------
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { error } = adminLoginValidation.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const admin = await Admin.findOne({ email: req.body.email.toLowerCase() });
+    const valid = admin && admin.is_active && await admin.comparePassword(req.body.password);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    admin.last_login = new Date();
+    await admin.save();
+
+    res.json({
+      message: 'Login successful',
+      admin: transformDoc(admin),
+      token: signAdminToken(admin),
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.get('/api/admin/me', requireAdmin(), async (req, res) => {
+  res.json({ admin: transformDoc(req.admin) });
+});
+
+app.get('/api/admins', requireAdmin('owner'), async (req, res) => {
+  try {
+    const admins = await Admin.find({}).sort({ createdAt: 1 });
+    res.json({ admins: transformArray(admins) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch admins' });
+  }
+});
+
+app.post('/api/admins', requireAdmin('owner'), async (req, res) => {
+  try {
+    const { error } = adminValidationSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const { password, ...data } = req.body;
+    const admin = new Admin(data);
+    await admin.setPassword(password);
+    await admin.save();
+    res.status(201).json({ message: 'Admin created successfully', admin: transformDoc(admin) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(400).json({ error: 'Admin email already exists' });
+    res.status(500).json({ error: 'Failed to create admin' });
+  }
+});
+
+app.put('/api/admins/:id', requireAdmin('owner'), async (req, res) => {
+  try {
+    const { error } = adminUpdateValidationSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ error: 'Admin not found' });
+
+    const { password, ...data } = req.body;
+    if (admin.id === req.admin.id && (data.role && data.role !== 'owner' || data.is_active === false)) {
+      return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+    }
+
+    Object.assign(admin, data);
+    if (password) await admin.setPassword(password);
+    await admin.save();
+    res.json({ message: 'Admin updated successfully', admin: transformDoc(admin) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update admin' });
+  }
+});
+
+app.delete('/api/admins/:id', requireAdmin('owner'), async (req, res) => {
+  try {
+    if (req.params.id === req.admin.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    const deletedAdmin = await Admin.findByIdAndDelete(req.params.id);
+    if (!deletedAdmin) return res.status(404).json({ error: 'Admin not found' });
+    res.json({ message: 'Admin deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete admin' });
+  }
+});
+
 // --- STATS ROUTE -----------------------------------------------------------
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requireAdmin('finance'), async (req, res) => {
   try {
     // --- Define Rolling Time Periods ---
     const now = new Date();
@@ -225,15 +546,15 @@ app.get('/api/stats', async (req, res) => {
       ]),
       // 3. Get General Stats
       User.countDocuments(),
-      User.countDocuments({ is_premium: true }),
+      User.countDocuments(paidUserFilter(now)),
       User.countDocuments({ last_login: { $gte: last30Days } }), // Active in last 30 days
       Channel.countDocuments(),
       Channel.countDocuments({ status: true }),
       Channel.find({}).sort({ viewCount: -1 }).select('name viewCount'),
       // <<-- New Premium User Queries -->>
-      User.countDocuments({ is_premium: true, createdAt: { $gte: last24Hours } }),
-      User.countDocuments({ is_premium: true, createdAt: { $gte: last7Days } }),
-      User.countDocuments({ is_premium: true, createdAt: { $gte: last30Days } }),
+      User.countDocuments({ ...paidUserFilter(now), createdAt: { $gte: last24Hours } }),
+      User.countDocuments({ ...paidUserFilter(now), createdAt: { $gte: last7Days } }),
+      User.countDocuments({ ...paidUserFilter(now), createdAt: { $gte: last30Days } }),
     ]);
     // <<-- PATCH END -->>
 
@@ -248,7 +569,9 @@ app.get('/api/stats', async (req, res) => {
         const dayEnd = new Date(date.setHours(23, 59, 59, 999));
 
         const totalUsersOnDay = await User.countDocuments({ createdAt: { $lte: dayEnd } });
-        const paidUsersOnDay = await User.countDocuments({ createdAt: { $lte: dayEnd }, is_premium: true });
+        // Counted by end date rather than is_premium, which the expiry job
+        // clears, so users who have since lapsed still show on past days.
+        const paidUsersOnDay = await User.countDocuments({ createdAt: { $lte: dayEnd }, subscriptionEndDate: { $gt: dayEnd } });
 
         userGrowthChartData.push({
             date: new Date(date.setHours(0,0,0,0)).toISOString().split('T')[0],
@@ -308,7 +631,7 @@ const channelValidationSchema = Joi.object({
   playbackUrlLowQuality: Joi.string().uri().allow(''),
   drm: Joi.object({
     enabled: Joi.boolean(),
-    provider: Joi.string().valid('clearkey', 'none', 'widevine'),
+    provider: Joi.string().valid('clearkey', 'none', 'widevine', 'playready'),
     key: Joi.string().allow(''),
     licenseServer: Joi.string().uri().allow(''),
   }),
@@ -320,7 +643,35 @@ const channelValidationSchema = Joi.object({
   status: Joi.boolean(),
   tag: Joi.string().allow(''),
   position: Joi.number(),
-}).unknown(true);
+  epgChannelId: Joi.string().allow(''),
+  proxyMode: Joi.boolean(),
+  access: Joi.string().valid('inherit', ...ACCESS_LEVELS),
+  bundles: Joi.array().items(Joi.string()).when('access', { is: 'bundle', then: Joi.array().min(1) }),
+}).unknown(true).external(async (value, helpers) => {
+  // mainCategory / subCategory hold category names; see routes/categories.js.
+  const category = await Category.findOne({ name: value.mainCategory }).lean();
+  if (!category) {
+    return helpers.message(`Unknown mainCategory "${value.mainCategory}"`);
+  }
+  // An M3U dry run names the subcategories its import would create.
+  const pending = helpers.prefs.context?.pendingSubCategories;
+  if (pending?.has(`${category.key}/${value.subCategory}`)) return;
+  const subCategoryExists = await SubCategory.exists({ parentCategory: category.key, name: value.subCategory });
+  if (!subCategoryExists) {
+    return helpers.message(`Unknown subCategory "${value.subCategory}" for ${value.mainCategory}`);
+  }
+});
+
+// Resolves to the first validation message, or null when the channel is valid.
+async function validateChannelBody(body, context = {}) {
+  try {
+    await channelValidationSchema.validateAsync(body, { context });
+    return null;
+  } catch (error) {
+    if (!error.isJoi) throw error;
+    return error.details[0].message;
+  }
+}
 
 const settingsValidationSchema = Joi.object({
   key: Joi.string().required(),
@@ -338,13 +689,29 @@ const sliderValidationSchema = Joi.object({
   type: Joi.string().valid('hero', 'promo'),
 });
 
+const recurrenceValidationSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly').required(),
+  time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+    .messages({ 'string.pattern.base': 'recurrence.time must be HH:mm' }),
+  days_of_week: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1)
+    .when('frequency', { is: 'weekly', then: Joi.required() }),
+  timezone: Joi.string().custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid'))),
+  ends_at: Joi.date().iso(),
+});
+
 const notificationValidationSchema = Joi.object({
   title: Joi.string().required(),
   message: Joi.string().required(),
   target_audience: Joi.string().valid('all', 'paid', 'free'),
   scheduled_at: Joi.date().iso(),
+  recurrence: recurrenceValidationSchema.allow(null),
 });
 
+const notificationRescheduleSchema = Joi.object({
+  scheduled_at: Joi.date().iso(),
+  recurrence: recurrenceValidationSchema.allow(null),
+}).or('scheduled_at', 'recurrence');
+
 // --- Enhanced In-Memory Settings Cache ------------------------------------
 const settingsCache = {
   map: new Map(),
@@ -405,16 +772,6 @@ async function initializeDefaultSettings() {
         { key: 'maintenance_mode', value: 'false', description: 'Enable maintenance mode' },
         { key: 'paywall_enabled', value: 'true', description: 'Enable paywall for streaming' },
         { key: 'trial_seconds', value: String(60 * 5), description: 'Free trial duration in seconds (e.g., 300 for 5 minutes)' },
-        {
-          key: 'subscription_packages',
-          value: JSON.stringify([
-            { name: 'Siku 1', price: 800, days: 1 },
-            { name: 'Siku 3', price: 2000, days: 3 },
-            { name: 'Wiki 1', price: 4000, days: 7 },
-            { name: 'Mwezi 1', price: 20000, days: 30 },
-          ]),
-          description: 'Available subscription packages (JSON format)',
-        },
         { key: 'whatsapp_link', value: 'https://wa.me/255745610606', description: 'Customer support WhatsApp link' },
         { key: 'forceLowQuality', value: 'false', description: 'Force all streams to use the low quality URL' },
       ];
@@ -462,9 +819,124 @@ initializeDefaultSettings()
   })
   .catch(err => console.error('Initial settings cache hydrate failed:', err.message));
 
+// --- Initialize Category Tree ---------------------------------------------
+function keyFromName(name) {
+  return name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+}
+
+// Builds the category tree from the channels already in the database the first
+// time it runs, so existing channels keep validating once categories are enforced.
+async function initializeCategories() {
+  try {
+    const categoryCount = await Category.countDocuments();
+    if (categoryCount > 0) return;
+
+    const pairs = await Channel.aggregate([
+      { $group: { _id: { main: '$mainCategory', sub: '$subCategory' } } },
+    ]);
+    const mainNames = [...new Set(pairs.map(p => p._id.main).filter(Boolean))];
+
+    for (const [order, name] of mainNames.entries()) {
+      const key = keyFromName(name);
+      await Category.updateOne({ key }, { $setOnInsert: { key, name, order } }, { upsert: true });
+    }
+    for (const { _id: { main, sub } } of pairs) {
+      if (!main || !sub) continue;
+      const parentCategory = keyFromName(main);
+      const key = keyFromName(sub);
+      await SubCategory.updateOne(
+        { parentCategory, key },
+        { $setOnInsert: { parentCategory, key, name: sub } },
+        { upsert: true }
+      );
+    }
+    console.log(`Category tree initialized from channels (${mainNames.length} main categories)`);
+  } catch (error) {
+    console.error('Error initializing categories:', error);
+  }
+}
+
+initializeCategories();
+
+// --- Initialize Subscription Plans ----------------------------------------
+const DEFAULT_PLANS = [
+  { name: 'Siku 1', price: 800, days: 1 },
+  { name: 'Siku 3', price: 2000, days: 3 },
+  { name: 'Wiki 1', price: 4000, days: 7 },
+  { name: 'Mwezi 1', price: 20000, days: 30 },
+];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Moves the legacy `subscription_packages` JSON setting into the Plan
+// collection the first time it runs, links older transactions to their plan by
+// package name, then drops the setting so the two cannot drift apart.
+async function initializePlans() {
+  try {
+    const planCount = await Plan.countDocuments();
+    if (planCount > 0) return;
+
+    const legacy = await Settings.findOne({ key: 'subscription_packages' }).lean();
+    let packages = DEFAULT_PLANS;
+    if (legacy) {
+      try {
+        packages = JSON.parse(legacy.value);
+      } catch (err) {
+        console.error('Could not parse subscription_packages; leaving it in place and creating default plans.', err.message);
+      }
+    }
+
+    for (const [order, pkg] of packages.entries()) {
+      const planId = keyFromName(pkg.name);
+      await Plan.updateOne(
+        { planId },
+        { $setOnInsert: { planId, name: pkg.name, price: Number(pkg.price), durationDays: Number(pkg.days) || 30, order } },
+        { upsert: true }
+      );
+    }
+
+    const plans = await Plan.find({}).lean();
+    for (const plan of plans) {
+      await Transaction.updateMany(
+        { planId: { $exists: false }, packageTitle: { $regex: `^${escapeRegex(plan.name)}$`, $options: 'i' } },
+        { planId: plan.planId, currency: plan.currency, durationDays: plan.durationDays }
+      );
+    }
+
+    if (legacy && packages !== DEFAULT_PLANS) {
+      await Settings.deleteOne({ key: 'subscription_packages' });
+      deleteSettingInCache('subscription_packages');
+    }
+    console.log(`Subscription plans initialized (${plans.length} plans${legacy ? ', migrated from settings' : ''})`);
+  } catch (error) {
+    console.error('Error initializing subscription plans:', error);
+  }
+}
+
+initializePlans();
+
+// Older app builds send the package name (in any language) instead of planId.
+async function findPlanByName(title) {
+  const wanted = String(title || '').toLowerCase();
+  const plans = await Plan.find({ isActive: true });
+  return plans.find(plan => [plan.name, ...plan.names.values()].some(n => n.toLowerCase() === wanted)) || null;
+}
+
+
+// --- Playback Sessions -----------------------------------------------------
+const playback = createPlaybackService({ Channel, JWT_SECRET });
+const streamProxy = createStreamProxyService({ Channel, JWT_SECRET });
+const entitlements = createEntitlementService();
+const streamLimits = createStreamLimitService({ entitlements });
+
+// --- PLAYLIST IMPORT / EXPORT ROUTES --------------------------------------
+// Mounted before the channel routes so /api/channels/export is not read as an :id.
+app.use(playlistsRoutes({ Channel, requireAdmin, validateChannelBody }));
 
 // --- CHANNEL ROUTES --------------------------------------------------------
-app.get('/api/channels', async (req, res) => {
+app.get('/api/channels', requireAdmin('content-editor'), async (req, res) => {
   try {
     const { search, mainCategory, subCategory } = req.query;
     let query = {};
@@ -485,14 +957,24 @@ app.get('/api/channels', async (req, res) => {
       createdAt: -1
     });
 
-    res.json({ channels: transformArray(channels) });
+    const healthRows = await StreamHealth.find({ channelId: { $in: channels.map(c => c.channelId) } })
+      .select('channelId status consecutiveFailures failoverActive lastCheckedAt lastLatencyMs lastError')
+      .lean();
+    const healthByChannel = new Map(healthRows.map(({ _id, ...h }) => [h.channelId, h]));
+
+    res.json({
+      channels: transformArray(channels).map(channel => ({
+        ...channel,
+        health: healthByChannel.get(channel.channelId) || { status: 'unknown' },
+      })),
+    });
   } catch (error) {
     console.error('Failed to fetch channels:', error);
     res.status(500).json({ error: 'Failed to fetch channels' });
   }
 });
 
-app.get('/api/channels/:id', async (req, res) => {
+app.get('/api/channels/:id', requireAdmin('content-editor'), async (req, res) => {
   try {
     const channel = await Channel.findById(req.params.id);
     if (!channel) return res.status(404).json({ error: 'Channel not found' });
@@ -502,10 +984,10 @@ app.get('/api/channels/:id', async (req, res) => {
   }
 });
 
-app.post('/api/channels', async (req, res) => {
+app.post('/api/channels', requireAdmin('content-editor'), async (req, res) => {
   try {
-    const { error } = channelValidationSchema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+    const validationError = await validateChannelBody(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
     const newChannel = new Channel(req.body);
     await newChannel.save();
     res.status(201).json({ message: 'Channel created successfully', channel: transformDoc(newChannel) });
@@ -515,19 +997,20 @@ app.post('/api/channels', async (req, res) => {
   }
 });
 
-app.put('/api/channels/:id', async (req, res) => {
+app.put('/api/channels/:id', requireAdmin('content-editor'), async (req, res) => {
   try {
-    const { error } = channelValidationSchema.validate(req.body);
-    if (error) return res.status(400).json({ error: error.details[0].message });
+    const validationError = await validateChannelBody(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
     const updatedChannel = await Channel.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!updatedChannel) return res.status(404).json({ error: 'Channel not found' });
     res.json({ message: 'Channel updated successfully', channel: transformDoc(updatedChannel) });
   } catch (error) {
+    console.error('Update channel error:', error);
     res.status(500).json({ error: 'Failed to update channel' });
   }
 });
 
-app.delete('/api/channels/:id', async (req, res) => {
+app.delete('/api/channels/:id', requireAdmin('content-editor'), async (req, res) => {
   try {
     const deletedChannel = await Channel.findByIdAndDelete(req.params.id);
     if (!deletedChannel) return res.status(404).json({ error: 'Channel not found' });
@@ -537,7 +1020,7 @@ app.delete('/api/channels/:id', async (req, res) => {
   }
 });
 
-app.post('/api/channels/:id/duplicate', async (req, res) => {
+app.post('/api/channels/:id/duplicate', requireAdmin('content-editor'), async (req, res) => {
   try {
     const originalChannel = await Channel.findById(req.params.id).lean();
     if (!originalChannel) {
@@ -563,7 +1046,7 @@ app.post('/api/channels/:id/duplicate', async (req, res) => {
   }
 });
 
-app.post('/api/channels/:id/toggle', async (req, res) => {
+app.post('/api/channels/:id/toggle', requireAdmin('content-editor'), async (req, res) => {
   try {
     const channel = await Channel.findById(req.params.id);
     if (!channel) return res.status(404).json({ error: 'Channel not found' });
@@ -575,7 +1058,7 @@ app.post('/api/channels/:id/toggle', async (req, res) => {
   }
 });
 
-app.post('/api/channels/batch', async (req, res) => {
+app.post('/api/channels/batch', requireAdmin('content-editor'), async (req, res) => {
   try {
     const { ids, action, status } = req.body;
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -601,8 +1084,37 @@ app.post('/api/channels/batch', async (req, res) => {
   }
 });
 
+// --- CONTENT ROUTES --------------------------------------------------------
+app.use(contentsRoutes({ requireAdmin, enforcePaywall, getSetting, playback, streamProxy, openStreamSession, transformDoc, transformArray }));
+
+// --- SERIES ROUTES ---------------------------------------------------------
+app.use(seriesRoutes({ requireAdmin, enforcePaywall, getSetting, playback, streamProxy, openStreamSession, transformDoc, transformArray }));
+
+// --- BANNER ROUTES ---------------------------------------------------------
+app.use(bannersRoutes({ Channel, requireAdmin, transformDoc, transformArray }));
+
+// --- CATEGORY ROUTES -------------------------------------------------------
+app.use(categoriesRoutes({ Channel, requireAdmin, transformDoc, transformArray }));
+app.use(subCategoriesRoutes({ Channel, requireAdmin, transformDoc, transformArray }));
+
+// --- LICENSE ROUTES --------------------------------------------------------
+app.use(licensesRoutes({ playback, entitlements, streamLimits, enforcePaywall }));
+
+// --- STREAM PROXY ROUTES ---------------------------------------------------
+app.use(streamProxyRoutes({ streamProxy, playback, streamLimits }));
+
+// --- EPG ROUTES ------------------------------------------------------------
+const epgService = createEpgService({ Channel });
+app.use(epgRoutes({ Channel, epgService, requireAdmin }));
+epgService.start();
+
+// --- STREAM HEALTH ROUTES --------------------------------------------------
+const streamHealthService = createStreamHealthService({ Channel });
+app.use(streamHealthRoutes({ Channel, streamHealthService, requireAdmin, transformDoc, transformArray }));
+streamHealthService.start();
+
 // --- ENHANCED SETTINGS ROUTES ---------------------------------------------
-app.get('/api/settings', async (req, res) => {
+app.get('/api/settings', requireAdmin('owner'), async (req, res) => {
   try {
     const settings = await Settings.find({}).sort({ key: 1 });
     res.json({ settings: transformArray(settings) });
@@ -622,7 +1134,7 @@ app.get('/api/settings/public', async (req, res) => {
   }
 });
 
-app.post('/api/settings/refresh-cache', async (req, res) => {
+app.post('/api/settings/refresh-cache', requireAdmin('owner'), async (req, res) => {
   try {
     const count = await hydrateSettingsCache();
     res.json({
@@ -636,7 +1148,7 @@ app.post('/api/settings/refresh-cache', async (req, res) => {
   }
 });
 
-app.post('/api/settings', async (req, res) => {
+app.post('/api/settings', requireAdmin('owner'), async (req, res) => {
   try {
     const { error } = settingsValidationSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
@@ -650,7 +1162,7 @@ app.post('/api/settings', async (req, res) => {
   }
 });
 
-app.put('/api/settings/:id', async (req, res) => {
+app.put('/api/settings/:id', requireAdmin('owner'), async (req, res) => {
   try {
     const { value, description } = req.body;
 
@@ -669,7 +1181,7 @@ app.put('/api/settings/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/settings/:id', async (req, res) => {
+app.delete('/api/settings/:id', requireAdmin('owner'), async (req, res) => {
   try {
     const deletedSetting = await Settings.findByIdAndDelete(req.params.id);
     if (!deletedSetting) return res.status(404).json({ error: 'Setting not found' });
@@ -680,7 +1192,7 @@ app.delete('/api/settings/:id', async (req, res) => {
   }
 });
 
-app.post('/api/settings/paywall/toggle', async (req, res) => {
+app.post('/api/settings/paywall/toggle', requireAdmin('owner'), async (req, res) => {
   try {
     console.log('🔄 Paywall toggle requested');
     let s = await Settings.findOne({ key: 'paywall_enabled' });
@@ -708,7 +1220,7 @@ app.post('/api/settings/paywall/toggle', async (req, res) => {
   }
 });
 
-app.get('/api/test/paywall-status', async (req, res) => {
+app.get('/api/test/paywall-status', requireAdmin('owner'), async (req, res) => {
   try {
     const paywallEnabled = await getSetting('paywall_enabled', 'false');
     const trialSeconds = await getSetting('trial_seconds', '0');
@@ -727,7 +1239,7 @@ app.get('/api/test/paywall-status', async (req, res) => {
 });
 
 // --- SLIDERS ROUTES --------------------------------------------------------
-app.get('/api/sliders', async (req, res) => {
+app.get('/api/sliders', requireAdmin('content-editor'), async (req, res) => {
   try {
     const sliders = await Slider.find({}).sort({ order_index: 1, createdAt: -1 });
     res.json({ sliders: transformArray(sliders) });
@@ -750,7 +1262,7 @@ app.get('/api/sliders/public', async (req, res) => {
   }
 });
 
-app.post('/api/sliders', async (req, res) => {
+app.post('/api/sliders', requireAdmin('content-editor'), async (req, res) => {
   try {
     const { error } = sliderValidationSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
@@ -768,7 +1280,7 @@ app.post('/api/sliders', async (req, res) => {
   }
 });
 
-app.put('/api/sliders/:id', async (req, res) => {
+app.put('/api/sliders/:id', requireAdmin('content-editor'), async (req, res) => {
   try {
     const { error } = sliderValidationSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
@@ -782,7 +1294,7 @@ app.put('/api/sliders/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/sliders/:id', async (req, res) => {
+app.delete('/api/sliders/:id', requireAdmin('content-editor'), async (req, res) => {
   try {
     const deletedSlider = await Slider.findByIdAndDelete(req.params.id);
     if (!deletedSlider) return res.status(404).json({ error: 'Slider not found' });
@@ -792,7 +1304,7 @@ app.delete('/api/sliders/:id', async (req, res) => {
   }
 });
 
-app.post('/api/sliders/:id/toggle', async (req, res) => {
+app.post('/api/sliders/:id/toggle', requireAdmin('content-editor'), async (req, res) => {
   try {
     const slider = await Slider.findById(req.params.id);
     if (!slider) return res.status(404).json({ error: 'Slider not found' });
@@ -807,16 +1319,31 @@ app.post('/api/sliders/:id/toggle', async (req, res) => {
 });
 
 // --- NOTIFICATIONS ROUTES --------------------------------------------------
-app.get('/api/notifications', async (req, res) => {
+const EDITABLE_STATUSES = ['draft', 'scheduled', 'failed'];
+const RESCHEDULABLE_STATUSES = ['draft', 'scheduled', 'cancelled', 'failed', 'completed'];
+
+// Status and scheduled_at for a notification being scheduled. A recurring one
+// starts at its first occurrence on or after scheduled_at (default now).
+// Returns null when the recurrence ends before it ever fires.
+function notificationSchedule({ scheduled_at, recurrence }) {
+  if (!recurrence) return { status: 'scheduled', scheduled_at };
+  const from = scheduled_at ? new Date(scheduled_at) : new Date();
+  const next = nextOccurrence(recurrence, new Date(from.getTime() - 1));
+  return next ? { status: 'scheduled', scheduled_at: next } : null;
+}
+
+// ?parent=<id> lists the notifications sent for a recurring series.
+app.get('/api/notifications', requireAdmin('content-editor', 'support'), async (req, res) => {
   try {
-    const notifications = await Notification.find({}).sort({ createdAt: -1 });
+    const filter = req.query.parent ? { parent: req.query.parent } : {};
+    const notifications = await Notification.find(filter).sort({ createdAt: -1 });
     res.json({ notifications: transformArray(notifications) });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch notifications' });
   }
 });
 
-app.delete('/api/notifications/:id', async (req, res) => {
+app.delete('/api/notifications/:id', requireAdmin('content-editor', 'support'), async (req, res) => {
   try {
     const deletedNotification = await Notification.findByIdAndDelete(req.params.id);
     if (!deletedNotification) {
@@ -829,13 +1356,17 @@ app.delete('/api/notifications/:id', async (req, res) => {
   }
 });
 
-app.post('/api/notifications', async (req, res) => {
+app.post('/api/notifications', requireAdmin('content-editor', 'support'), async (req, res) => {
   try {
-    const { error } = notificationValidationSchema.validate(req.body);
+    const { error, value } = notificationValidationSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
     const newNotification = new Notification(req.body);
-    if (req.body.scheduled_at) newNotification.status = 'scheduled';
+    if (req.body.scheduled_at || req.body.recurrence) {
+      const schedule = notificationSchedule(value);
+      if (!schedule) return res.status(400).json({ error: 'recurrence ends before its first occurrence' });
+      Object.assign(newNotification, schedule);
+    }
 
     await newNotification.save();
     res.status(201).json({ message: 'Notification created successfully', notification: transformDoc(newNotification) });
@@ -844,13 +1375,33 @@ app.post('/api/notifications', async (req, res) => {
   }
 });
 
-app.put('/api/notifications/:id', async (req, res) => {
+// Only draft, scheduled and failed notifications can be edited; use
+// /cancel and /reschedule for the others.
+app.put('/api/notifications/:id', requireAdmin('content-editor', 'support'), async (req, res) => {
   try {
-    const { error } = notificationValidationSchema.validate(req.body);
+    const { error, value } = notificationValidationSchema.validate(req.body);
     if (error) return res.status(400).json({ error: error.details[0].message });
 
-    const updatedNotification = await Notification.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!updatedNotification) return res.status(404).json({ error: 'Notification not found' });
+    // Scheduling through an edit works as on create: the notification
+    // becomes 'scheduled'.
+    const update = { ...req.body };
+    if (value.scheduled_at || value.recurrence) {
+      const schedule = notificationSchedule(value);
+      if (!schedule) return res.status(400).json({ error: 'recurrence ends before its first occurrence' });
+      Object.assign(update, schedule);
+    }
+
+    // Conditional on the status so a send starting meanwhile is not edited.
+    const updatedNotification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: EDITABLE_STATUSES } },
+      update,
+      { new: true }
+    );
+    if (!updatedNotification) {
+      const existing = await Notification.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Notification not found' });
+      return res.status(409).json({ error: `A ${existing.status} notification cannot be edited` });
+    }
 
     res.json({ message: 'Notification updated successfully', notification: transformDoc(updatedNotification) });
   } catch (error) {
@@ -858,37 +1409,123 @@ app.put('/api/notifications/:id', async (req, res) => {
   }
 });
 
-app.post('/api/notifications/:id/send', async (req, res) => {
-  try {
-    const notification = await Notification.findById(req.params.id);
-    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+const notificationDelivery = createNotificationDeliveryService({ User, Notification, transport: createPushTransport() });
 
-    let targetCount = 0;
-    const totalUsers = await User.countDocuments();
+// Delivery runs in the background; the admin panel polls the notification
+// (status 'sending' -> 'sent' / 'failed') for the final counts.
+app.post('/api/notifications/:id/send', requireAdmin('content-editor', 'support'), async (req, res) => {
+  try {
+    const existing = await Notification.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Notification not found' });
+    if (existing.recurrence) {
+      return res.status(409).json({ error: 'Recurring notifications are sent by the scheduler at each occurrence' });
+    }
 
-    if (notification.target_audience === 'all') {
-      targetCount = totalUsers;
-    } else if (notification.target_audience === 'paid') {
-      targetCount = await User.countDocuments({ is_premium: true });
-    } else if (notification.target_audience === 'free') {
-      targetCount = await User.countDocuments({ is_premium: false });
+    const notification = await notificationDelivery.claim(existing._id);
+    if (!notification) {
+      return res.status(409).json({ error: `Notification is already ${existing.status}` });
     }
 
-    notification.status = 'sent';
-    notification.sent_at = new Date();
-    notification.sent_count = targetCount;
-    await notification.save();
+    setImmediate(() => {
+      notificationDelivery.deliver(notification)
+        .catch(err => console.error(`Notification ${notification.id} delivery error:`, err));
+    });
 
-    res.json({ message: 'Notification sent successfully', notification: transformDoc(notification), sent_to: targetCount });
+    res.status(202).json({ message: 'Notification is being sent', notification: transformDoc(notification) });
   } catch (error) {
+    console.error('Send notification error:', error);
     res.status(500).json({ error: 'Failed to send notification' });
   }
 });
 
-app.get('/api/stats/dashboard', async (req, res) => {
+// Cancelling a series also cancels occurrences created but not yet sent.
+app.post('/api/notifications/:id/cancel', requireAdmin('content-editor', 'support'), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!notification) {
+      const existing = await Notification.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Notification not found' });
+      return res.status(409).json({ error: `Only scheduled notifications can be cancelled (this one is ${existing.status})` });
+    }
+
+    const { modifiedCount } = await Notification.updateMany(
+      { parent: notification._id, status: 'scheduled' },
+      { status: 'cancelled' }
+    );
+    res.json({ message: 'Notification cancelled', notification: transformDoc(notification), cancelled_occurrences: modifiedCount });
+  } catch (error) {
+    console.error('Cancel notification error:', error);
+    res.status(500).json({ error: 'Failed to cancel notification' });
+  }
+});
+
+// Body: scheduled_at and/or recurrence (null turns a series into a one-off).
+// Also re-activates cancelled, failed and completed notifications.
+app.post('/api/notifications/:id/reschedule', requireAdmin('content-editor', 'support'), async (req, res) => {
+  try {
+    const { error, value } = notificationRescheduleSchema.validate(req.body);
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const existing = await Notification.findById(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Notification not found' });
+    if (!RESCHEDULABLE_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: `A ${existing.status} notification cannot be rescheduled` });
+    }
+
+    const recurrence = value.recurrence !== undefined ? value.recurrence : existing.recurrence;
+    if (!recurrence && !value.scheduled_at) {
+      return res.status(400).json({ error: 'scheduled_at is required for a one-off notification' });
+    }
+    const schedule = notificationSchedule({ scheduled_at: value.scheduled_at, recurrence });
+    if (!schedule) return res.status(400).json({ error: 'recurrence ends before its first occurrence' });
+
+    const update = { ...schedule, last_error: '' };
+    if (value.recurrence !== undefined) update.recurrence = value.recurrence;
+
+    // Conditional on the status read above so a concurrent send or cancel wins.
+    const notification = await Notification.findOneAndUpdate(
+      { _id: existing._id, status: existing.status },
+      update,
+      { new: true }
+    );
+    if (!notification) return res.status(409).json({ error: 'Notification changed while rescheduling, please retry' });
+
+    res.json({ message: 'Notification rescheduled', notification: transformDoc(notification) });
+  } catch (error) {
+    console.error('Reschedule notification error:', error);
+    res.status(500).json({ error: 'Failed to reschedule notification' });
+  }
+});
+
+const notificationScheduler = createNotificationScheduler({ Notification, notificationDelivery });
+
+app.get('/api/notifications/scheduler', requireAdmin('content-editor', 'support'), (req, res) => {
+  res.json({ scheduler: notificationScheduler.status() });
+});
+
+app.post('/api/notifications/scheduler/run', requireAdmin('content-editor', 'support'), async (req, res) => {
+  try {
+    const result = await notificationScheduler.runOnce();
+    if (!result) return res.status(409).json({ error: 'A scheduler run is already in progress' });
+    res.json({ message: 'Scheduler run completed', scheduler: notificationScheduler.status() });
+  } catch (error) {
+    console.error('Notification scheduler run error:', error);
+    res.status(500).json({ error: 'Failed to run notification scheduler' });
+  }
+});
+
+notificationScheduler.start();
+
+app.use(pushRoutes({ authMiddleware, requireAdmin, transformArray }));
+
+app.get('/api/stats/dashboard', requireAdmin(), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
-    const paidUsers = await User.countDocuments({ is_premium: true });
+    const paidUsers = await User.countDocuments(paidUserFilter());
     const totalChannels = await Channel.countDocuments();
     const activeChannels = await Channel.countDocuments({ status: true });
 
@@ -900,7 +1537,7 @@ app.get('/api/stats/dashboard', async (req, res) => {
 
 
 // --- TRANSACTION ROUTES ----------------------------------------------------
-app.get('/api/transactions', async (req, res) => {
+app.get('/api/transactions', requireAdmin('finance', 'support'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -911,6 +1548,10 @@ app.get('/api/transactions', async (req, res) => {
     if (status) {
       filter.status = status.toUpperCase();
     }
+    // ?fulfilmentFailed=true: paid orders whose plan could not be granted.
+    if (req.query.fulfilmentFailed === 'true') {
+      filter.fulfilmentError = { $exists: true };
+    }
 
     if (search) {
       filter.$or = [
@@ -918,6 +1559,7 @@ app.get('/api/transactions', async (req, res) => {
         { phoneNumber: { $regex: search, $options: 'i' } },
         { name: { $regex: search, $options: 'i' } },
         { packageTitle: { $regex: search, $options: 'i' } },
+        { planId: { $regex: search, $options: 'i' } },
       ];
     }
 
@@ -948,6 +1590,8 @@ app.get('/api/transactions', async (req, res) => {
   }
 });
 
+// req.requiredAccess may be set by an earlier middleware (see
+// resolveChannelAccess); without it the route needs the full premium pass.
 async function enforcePaywall(req, res, next) {
   try {
     const paywallEnabledStr = await getSetting('paywall_enabled', 'false');
@@ -958,30 +1602,43 @@ async function enforcePaywall(req, res, next) {
 
     console.log(`🔒 Paywall check: enabled=${paywallEnabled}, totalTrial=${totalTrialSeconds}s`);
 
-    if (!paywallEnabled) {
-      console.log('✅ Paywall disabled - allowing access');
+    const token = req.headers.authorization?.split(' ')[1];
+
+    const required = req.requiredAccess || PREMIUM_ACCESS;
+
+    // req.paywallUserId identifies the viewer for playback tokens (null when
+    // anonymous); req.paywallInstallationId is the installation they logged in from.
+    req.paywallUserId = null;
+    req.paywallInstallationId = null;
+
+    if (!paywallEnabled || required.access === 'free') {
+      console.log(paywallEnabled ? '✅ Free channel - allowing access' : '✅ Paywall disabled - allowing access');
+      if (token) {
+        const auth = await userTokens.authenticate(token);
+        req.paywallUserId = auth?.userId || null;
+        req.paywallInstallationId = auth?.installationId || null;
+      }
       return next();
     }
 
-    const token = req.headers.authorization?.split(' ')[1];
     if (!token) {
       return res.status(401).json({ error: 'Paywall enabled. Please log in.' });
     }
 
-    let payload;
-    try {
-      payload = jwt.verify(token, JWT_SECRET);
-    } catch {
+    const auth = await userTokens.authenticate(token);
+    if (!auth) {
       return res.status(401).json({ error: 'Invalid token.' });
     }
 
-    const user = await User.findById(payload.user?.id);
+    const user = await User.findById(auth.userId);
     if (!user) {
       return res.status(401).json({ error: 'User not found.' });
     }
+    req.paywallUserId = user.id;
+    req.paywallInstallationId = auth.installationId;
 
-    if (user.is_premium && user.subscriptionEndDate > Date.now()) {
-      console.log('✅ Premium user - allowing access');
+    if (entitlements.isUnlocked(required, entitlements.userGrants(user))) {
+      console.log('✅ Entitled user - allowing access');
       return next();
     }
 
@@ -995,7 +1652,8 @@ async function enforcePaywall(req, res, next) {
     }
 
     console.log('❌ Paywall blocking access (Trial consumed or not available)');
-    return res.status(403).json({ error: 'Subscription required. Please subscribe.' });
+    const unlockedBy = entitlements.unlockingPlans(required, await entitlements.activePlans());
+    return res.status(403).json({ error: 'Subscription required. Please subscribe.', locked: true, unlockedBy });
   } catch (err) {
     console.error('Paywall enforcement error:', err);
     res.status(500).json({ error: 'Paywall check failed.' });
@@ -1003,6 +1661,53 @@ async function enforcePaywall(req, res, next) {
 }
 
 // --- PUBLIC ROUTES (paywall-protected where relevant) ----------------------
+// Stream locations are only handed out by paywalled endpoints.
+const PUBLIC_CHANNEL_LIST_FIELDS = '-playbackUrl -playbackUrlLowQuality -playbackHeaders';
+
+// Loads the channel into req.channel and its access level into
+// req.requiredAccess for enforcePaywall.
+async function resolveChannelAccess(req, res, next) {
+  try {
+    const channel = await Channel.findOne({
+      channelId: req.params.channelId,
+      status: true
+    }).lean();
+
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+    req.channel = channel;
+    req.requiredAccess = await entitlements.channelAccess(channel);
+    next();
+  } catch (error) {
+    console.error('Channel access lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch channel' });
+  }
+}
+
+// Grants of the (optional) logged-in viewer for list annotations. A running
+// trial unlocks everything, same as in enforcePaywall.
+async function viewerGrants(req) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return entitlements.userGrants(null);
+
+  const auth = await userTokens.authenticate(token);
+  if (!auth) return entitlements.userGrants(null);
+  const user = await User.findById(auth.userId);
+
+  const grants = entitlements.userGrants(user);
+  const totalTrialSeconds = parseInt(await getSetting('trial_seconds', '0') || '0', 10);
+  if (user && (user.trialSecondsConsumed || 0) < totalTrialSeconds) grants.all = true;
+  return grants;
+}
+
+// Low-quality source when forced by settings, or while the primary is failing health checks.
+async function shouldUseLowQuality(channel) {
+  if (!channel.playbackUrlLowQuality) return false;
+  const forceLowQualitySetting = await getSetting('forceLowQuality', 'false');
+  if (forceLowQualitySetting === 'true') return true;
+  return (await streamHealthService.failoverChannelIds([channel.channelId])).has(channel.channelId);
+}
+
 app.get('/api/public/channels', async (req, res) => {
   try {
     const { mainCategory, subCategory } = req.query;
@@ -1015,21 +1720,17 @@ app.get('/api/public/channels', async (req, res) => {
       query.subCategory = subCategory;
     }
 
-    const channels = await Channel.find(query).sort({
+    const channels = await Channel.find(query).select(PUBLIC_CHANNEL_LIST_FIELDS).sort({
       position: 1,
       createdAt: -1
     }).lean();
 
-    const forceLowQualitySetting = await getSetting('forceLowQuality', 'false');
-    const forceLow = forceLowQualitySetting === 'true';
+    channels.forEach(channel => {
+      channel.drm = playback.publicDrm(req, channel.drm);
+    });
 
-    if (forceLow) {
-      channels.forEach(channel => {
-        if (channel.playbackUrlLowQuality) {
-          channel.playbackUrl = channel.playbackUrlLowQuality;
-        }
-      });
-    }
+    const paywallEnabled = (await getSetting('paywall_enabled', 'false')) === 'true';
+    await entitlements.annotateChannels(channels, await viewerGrants(req), paywallEnabled);
 
     res.json({ channels: transformArray(channels) });
   } catch (error) {
@@ -1038,25 +1739,109 @@ app.get('/api/public/channels', async (req, res) => {
   }
 });
 
-app.get('/api/public/channels/:channelId', enforcePaywall, async (req, res) => {
+// Channel details only; stream URLs and the DRM playback token come from a
+// playback session so every stream counts against the viewer's limits.
+app.get('/api/public/channels/:channelId', resolveChannelAccess, enforcePaywall, async (req, res) => {
   try {
-    const channel = await Channel.findOne({
-      channelId: req.params.channelId,
-      status: true
-    }).lean();
+    const { playbackUrl, playbackUrlLowQuality, playbackHeaders, ...channel } = req.channel;
+    channel.drm = playback.publicDrm(req, channel.drm);
 
-    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    res.json({ channel: transformDoc(channel) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch channel' });
+  }
+});
 
-    const forceLowQualitySetting = await getSetting('forceLowQuality', 'false');
-    const forceLow = forceLowQualitySetting === 'true';
+// installationId is still accepted from older apps but ignored: the
+// installation is the one the viewer's login was issued to.
+const playbackSessionValidation = Joi.object({
+  installationId: Joi.string(),
+  deviceId: Joi.string().allow(''),
+  deviceName: Joi.string().allow('').max(100),
+  platform: Joi.string().allow('').max(50),
+});
 
-    if (forceLow && channel.playbackUrlLowQuality) {
-      channel.playbackUrl = channel.playbackUrlLowQuality;
-    }
+// Opens the logged-in viewer's stream session for a channel, content item or
+// episode, on the installation they logged in from and counted against their
+// device and concurrent stream limits. Resolves { streamSession,
+// heartbeatIntervalSeconds } (both null for anonymous viewers), or null once
+// it has answered the request itself.
+async function openStreamSession(req, res, { resourceType, resourceId }) {
+  const { error, value } = playbackSessionValidation.validate(req.body || {});
+  if (error) {
+    res.status(400).json({ error: error.details[0].message });
+    return null;
+  }
 
-    res.json({ channel: transformDoc(channel) });
+  const user = req.paywallUserId ? await User.findById(req.paywallUserId) : null;
+  if (!user) return { streamSession: null, heartbeatIntervalSeconds: null };
+
+  if (!req.paywallInstallationId) {
+    res.status(401).json({ error: 'This login is not tied to an installation. Please log in again.' });
+    return null;
+  }
+
+  const result = await streamLimits.startSession(user, {
+    ...value,
+    installationId: req.paywallInstallationId,
+    resourceType,
+    resourceId,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+  if (result.code === 'DEVICE_LIMIT') {
+    res.status(409).json({
+      error: `Device limit reached (${result.limits.maxDevices}). Remove a device to watch on this one.`,
+      code: result.code,
+      limit: result.limits.maxDevices,
+      devices: transformArray(result.devices),
+    });
+    return null;
+  }
+  if (result.code === 'STREAM_LIMIT') {
+    const devices = await streamLimits.listDevices(user._id);
+    res.status(409).json({
+      error: `Too many streams at once (limit ${result.limits.maxStreams}). Stop watching on another device first.`,
+      code: result.code,
+      limit: result.limits.maxStreams,
+      sessions: result.sessions.map(session => sessionSummary(session, devices)),
+    });
+    return null;
+  }
+  return { streamSession: result.session, heartbeatIntervalSeconds: streamLimits.heartbeatIntervalSeconds };
+}
+
+// Starts playback: a signed, expiring stream URL bound to this user and
+// channel, plus the playback token the DRM license endpoints expect.
+// Logged-in viewers also get a stream session (see openStreamSession) that
+// must be kept alive with heartbeats; the URL and token stop working once it
+// ends.
+app.post('/api/public/channels/:channelId/playback-session', resolveChannelAccess, enforcePaywall, async (req, res) => {
+  try {
+    const { channel } = req;
+
+    const opened = await openStreamSession(req, res, { resourceType: 'channel', resourceId: channel.channelId });
+    if (!opened) return;
+    const streamSessionId = opened.streamSession ? opened.streamSession.id : null;
+
+    const lowQuality = await shouldUseLowQuality(channel);
+    const { url, expiresAt } = streamProxy.issuePlaybackUrl(req, channel, { userId: req.paywallUserId, sessionId: streamSessionId, lowQuality });
+
+    res.json({
+      session: {
+        channelId: channel.channelId,
+        playbackUrl: url,
+        lowQuality,
+        expiresAt,
+        drm: playback.publicDrm(req, channel.drm),
+        playbackToken: playback.issuePlaybackToken({ type: 'channel', id: channel.channelId, userId: req.paywallUserId, streamSessionId }),
+        streamSessionId,
+        heartbeatIntervalSeconds: opened.heartbeatIntervalSeconds,
+      },
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch channel' });
+    console.error('Playback session error:', error);
+    res.status(500).json({ error: 'Failed to start playback session' });
   }
 });
 
@@ -1082,20 +1867,21 @@ app.post('/api/public/channels/:channelId/track-view', async (req, res) => {
   }
 });
 
-app.get('/api/public/packages', async (req, res) => {
-  try {
-    const raw = await getSetting('subscription_packages');
-    if (!raw) return res.status(404).json({ error: 'Subscription packages not configured.' });
-    try {
-      res.json(JSON.parse(raw));
-    } catch {
-      res.status(500).json({ error: 'Failed to parse subscription packages.' });
-    }
-  } catch (error) {
-    console.error('Failed to fetch packages:', error);
-    res.status(500).json({ error: 'Failed to fetch subscription packages.' });
-  }
-});
+// --- PLAN ROUTES (admin CRUD + /api/public/packages) ----------------------
+app.use(plansRoutes({ Transaction, requireAdmin, transformDoc, transformArray }));
+
+// --- DEVICE & STREAM SESSION ROUTES ------------------------------------------
+app.use(devicesRoutes({ User, streamLimits, authMiddleware, requireAdmin, transformArray }));
+
+// --- RESTORE PURCHASE ROUTES -------------------------------------------------
+const restoreService = createRestoreService({ User, Transaction, sms: createSmsTransport(), streamLimits, userTokens, JWT_SECRET });
+app.use(restoreRoutes({ User, restoreService, authMiddleware, transformDoc }));
+
+// --- APP USER SESSION ROUTES ---------------------------------------------------
+app.use(userAuthRoutes({ User, userTokens, authMiddleware, requireAdmin, transformArray }));
+
+// --- VOUCHER ROUTES ----------------------------------------------------------
+app.use(vouchersRoutes({ User, Transaction, authMiddleware, requireAdmin, transformDoc, transformArray }));
 
 app.get('/api/public/notifications', async (req, res) => {
   try {
@@ -1108,41 +1894,46 @@ app.get('/api/public/notifications', async (req, res) => {
 });
 
 // --- SUBSCRIBE & PAYMENT ---------------------------------------------------
+const providers = createProviderRegistry({ JWT_SECRET });
+
 app.post('/api/subscribe/initiate-payment', async (req, res) => {
   try {
-    const { name, phoneNumber, package: packageTitle, installationId } = req.body;
+    const { name, phoneNumber, planId, package: packageTitle, installationId } = req.body;
 
-    if (!name || !phoneNumber || !packageTitle || !installationId) {
-      return res.status(400).json({ error: 'Name, phone number, package, and installationId are required.' });
+    if (!name || !phoneNumber || !(planId || packageTitle) || !installationId) {
+      return res.status(400).json({ error: 'Name, phone number, planId (or package), and installationId are required.' });
     }
 
-    const packSettingRaw = await getSetting('subscription_packages');
-    if (!packSettingRaw) return res.status(500).json({ error: 'Subscription packages not configured on server.' });
-
-    let packages = {};
-    try {
-      const parsed = JSON.parse(packSettingRaw);
-      parsed.forEach(p => { packages[p.name.toLowerCase()] = { price: p.price, days: p.days }; });
-    } catch (err) {
-      return res.status(500).json({ error: 'Failed to parse subscription packages on server.' });
+    const plan = planId
+      ? await Plan.findOne({ planId, isActive: true })
+      : await findPlanByName(packageTitle);
+    if (!plan) {
+        console.error(`Invalid package selected: ${planId || packageTitle}`);
+        return res.status(400).json({ error: 'Invalid package selected' });
     }
 
-    const selectedPackage = packages[packageTitle?.toLowerCase()];
-    if (!selectedPackage) {
-        console.error(`Invalid package selected: ${packageTitle}. Available:`, Object.keys(packages));
-        return res.status(400).json({ error: 'Invalid package selected' });
+    const providerName = providers.select({ plan, phoneNumber });
+    const provider = providers.get(providerName);
+    if (!provider || !provider.isConfigured()) {
+      console.error(`Payment provider ${providerName} is not available for ${phoneNumber} / ${plan.planId}`);
+      return res.status(503).json({ error: 'Payment method not available. Please try again later.' });
     }
 
-    const amount = Number(selectedPackage.price);
+    const amount = plan.price;
     const orderId = uuidv4();
 
     const tx = new Transaction({
       orderId,
       phoneNumber,
       name,
-      packageTitle,
+      planId: plan.planId,
+      packageTitle: plan.name,
       price: amount,
+      currency: plan.currency,
+      durationDays: plan.durationDays,
+      bundles: plan.bundles,
       status: 'PENDING',
+      provider: provider.name,
       installationId: installationId,
     });
     await tx.save();
@@ -1150,41 +1941,15 @@ app.post('/api/subscribe/initiate-payment', async (req, res) => {
     res.status(200).json({ orderId, message: 'Request received. Start polling.' });
 
     const backendURL = process.env.BACKEND_URL || `https://towntvmax.onrender.com`;
-    const zenoPayload = {
-      order_id: orderId,
-      buyer_name: name,
-      buyer_phone: formatPhone(phoneNumber),
-      buyer_email: 'noemail@burudani.app',
-      amount: amount,
-      webhook_url: `${backendURL}/api/webhooks/zenopay`,
-    };
 
     setImmediate(async () => {
       try {
-        const url = process.env.ZENOPAY_API_URL;
-        const apiKey = process.env.ZENOPAY_API_KEY;
-        if (!url || !apiKey) {
-          console.error('ZENOPAY credentials missing');
-          await Transaction.updateOne({ orderId }, { status: 'FAILED' }).exec();
-          return;
-        }
-
-        const zRes = await axios.post(url, zenoPayload, {
-          headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
-          timeout: 15_000,
-          validateStatus: () => true,
-        });
-
-        if (zRes.status >= 200 && zRes.status < 300) {
-          console.log('✅ Payment gateway request acknowledged:', zRes.data);
-        } else {
-          console.error('❌ Zenopay non-2xx:', zRes.status, zRes.data);
-          await Transaction.updateOne({ orderId }, { status: 'FAILED' }).exec();
-        }
+        const { reference } = await provider.initiate(tx, { callbackUrl: `${backendURL}/api/webhooks/${provider.name}` });
+        console.log(`✅ Payment request acknowledged by ${provider.name} for ${orderId}`);
+        if (reference) await Transaction.updateOne({ orderId }, { providerReference: reference }).exec();
       } catch (apiErr) {
-        const msg = apiErr?.response?.data || apiErr.message;
-        console.error('❌ Payment gateway API call failed:', msg);
-        try { await Transaction.updateOne({ orderId }, { status: 'FAILED' }).exec(); } catch {}
+        console.error(`❌ ${provider.name} payment request failed:`, apiErr.message);
+        try { await Transaction.updateOne({ orderId, status: 'PENDING' }, { status: 'FAILED' }).exec(); } catch {}
       }
     });
   } catch (error) {
@@ -1195,106 +1960,55 @@ app.post('/api/subscribe/initiate-payment', async (req, res) => {
   }
 });
 
-app.post('/api/webhooks/zenopay', async (req, res) => {
-  try {
-    const { order_id, payment_status } = req.body || {};
-    console.log(`[ZenoPay] Webhook received: order_id=${order_id}, status=${payment_status}`);
+const payments = createPaymentService({ Transaction, User });
 
-    const tx = await Transaction.findOne({ orderId: order_id });
-    if (!tx) {
-      console.log(`Webhook ignored: Transaction with orderId ${order_id} not found.`);
-      return res.status(200).send('Ignored: Transaction not found');
-    }
+// Every delivery is logged before anything else so rejected and failed ones
+// can be inspected (and failed ones replayed) from /api/webhook-events.
+const REJECTED_WEBHOOK_RETENTION_DAYS = Number(process.env.WEBHOOK_REJECTED_RETENTION_DAYS || 7);
+const REJECTED_WEBHOOK_MAX_CHARS = 2048;
 
-    if (payment_status === 'COMPLETED') {
-      let durationDays = 30;
-      try {
-        const packRaw = await getSetting('subscription_packages');
-        if (packRaw) {
-          const packages = JSON.parse(packRaw);
-          const matched = packages.find(
-            (p) => p.name.toLowerCase() === tx.packageTitle.toLowerCase()
-          );
-          if (matched && matched.days) {
-            durationDays = matched.days;
-          }
-        }
-      } catch (e) {
-        console.error("Could not parse subscription packages for duration.", e);
-      }
-
-      const now = new Date();
-
-      const existingUser = tx.installationId
-        ? await User.findOne({ installationId: tx.installationId })
-        : null;
-
-      if (existingUser) {
-        console.log(`Found user by installationId: ${tx.installationId}`);
-      }
-
-      let userToSign;
-
-      if (existingUser) {
-        console.log(`Upgrading existing user: ${existingUser.id}`);
-        const baseDate =
-          existingUser.subscriptionEndDate && existingUser.subscriptionEndDate > now
-            ? existingUser.subscriptionEndDate
-            : now;
-        const newEndDate = new Date(baseDate.getTime() + durationDays * 24 * 60 * 60 * 1000);
-
-        existingUser.is_premium = true;
-        existingUser.subscriptionEndDate = newEndDate;
-        if (tx.name) existingUser.name = tx.name;
-
-        let shouldUpdatePhoneNumber = !existingUser.phoneNumber && tx.phoneNumber;
-        if (shouldUpdatePhoneNumber) {
-            const phoneOwner = await User.findOne({ phoneNumber: tx.phoneNumber });
-            if (phoneOwner && phoneOwner.id !== existingUser.id) {
-                console.warn(`Phone number ${tx.phoneNumber} is already linked to user ${phoneOwner.id}. Upgrading user ${existingUser.id} without changing phone number.`);
-                shouldUpdatePhoneNumber = false;
-            }
-        }
-        if (shouldUpdatePhoneNumber) {
-            existingUser.phoneNumber = tx.phoneNumber;
-        }
+// Unverified deliveries keep only the start of their payload and headers.
+function clippedPayload(payload) {
+  const text = JSON.stringify(payload ?? null);
+  return text.length <= REJECTED_WEBHOOK_MAX_CHARS
+    ? payload
+    : { truncated: true, size: text.length, preview: text.slice(0, REJECTED_WEBHOOK_MAX_CHARS) };
+}
 
-        await existingUser.save();
-        console.log(`[ZenoPay] Extended user ${existingUser.id} until ${existingUser.subscriptionEndDate?.toISOString?.()}`);
+app.post('/api/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = providers.get(req.params.provider);
+    if (!provider) return res.status(404).send('Unknown payment provider');
 
-        userToSign = existingUser;
-      } else {
-        console.log(`Creating new premium user for installationId ${tx.installationId}`);
-        const newEndDate = new Date(now.getTime() + durationDays * 24 * 60 * 60 * 1000);
+    const { orderId, paymentStatus } = provider.parseCallback(req);
+    console.log(`[${provider.name}] Webhook received: order_id=${orderId}, status=${paymentStatus}`);
 
-        const newUser = await User.create({
-          name: tx.name || 'New User',
-          phoneNumber: tx.phoneNumber,
-          installationId: tx.installationId,
-          is_premium: true,
-          subscriptionEndDate: newEndDate,
-        });
-        userToSign = newUser;
-        console.log(`[ZenoPay] Created premium user ${userToSign.id} (installationId=${tx.installationId})`);
-      }
+    const event = new WebhookEvent({
+      provider: provider.name,
+      orderId,
+      paymentStatus,
+      payload: req.body,
+      headers: providers.redactHeaders(req.headers, provider),
+    });
 
-      const token = jwt.sign(
-        { user: { id: userToSign.id } },
-        JWT_SECRET,
-        { expiresIn: `${durationDays}d` }
-      );
+    const verification = provider.verifyWebhook(req);
+    if (!verification.ok) {
+      event.status = 'rejected';
+      event.error = verification.reason;
+      event.payload = clippedPayload(req.body);
+      event.headers = clippedPayload(event.headers);
+      event.expiresAt = new Date(Date.now() + REJECTED_WEBHOOK_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      await event.save();
+      console.warn(`[${provider.name}] Webhook rejected for order_id=${orderId}: ${verification.reason}`);
+      return res.status(401).send('Unauthorized');
+    }
 
-      tx.status = 'COMPLETED';
-      tx.token = token;
-      await tx.save();
-      console.log(`✅ Successfully processed COMPLETED webhook for orderId ${order_id}`);
+    event.verified = true;
+    await payments.processWebhookEvent(event);
 
-    } else if (['FAILED', 'CANCELLED', 'EXPIRED'].includes(payment_status)) {
-        tx.status = payment_status;
-        await tx.save();
-        console.log(`☑️ Successfully processed ${payment_status} webhook for orderId ${order_id}`);
+    if (event.status === 'failed') {
+      return res.status(500).send('Error processing webhook');
     }
-
     res.status(200).send('Webhook processed');
   } catch (err) {
     console.error("Error processing webhook", err);
@@ -1302,6 +2016,50 @@ app.post('/api/webhooks/zenopay', async (req, res) => {
   }
 });
 
+app.use(webhookEventsRoutes({ payments, requireAdmin, transformDoc, transformArray }));
+
+app.get('/api/payment-providers', requireAdmin('finance'), (req, res) => {
+  res.json({ providers: providers.list() });
+});
+
+// --- PAYMENT RECONCILIATION ------------------------------------------------
+const reconciler = createReconcilerService({ Transaction, payments, providers });
+
+app.post('/api/transactions/reconcile', requireAdmin('finance'), async (req, res) => {
+  try {
+    const result = await reconciler.runOnce();
+    if (!result) return res.status(409).json({ error: 'A reconcile run is already in progress' });
+    res.json({ message: 'Reconcile run completed', reconciler: reconciler.status() });
+  } catch (error) {
+    console.error('Reconcile run error:', error);
+    res.status(500).json({ error: 'Failed to reconcile transactions' });
+  }
+});
+
+// Manual "re-check with gateway" for a single order.
+app.post('/api/transactions/:orderId/recheck', requireAdmin('finance', 'support'), async (req, res) => {
+  try {
+    const tx = await Transaction.findOne({ orderId: req.params.orderId });
+    if (!tx) return res.status(404).json({ error: 'Transaction not found' });
+    if (tx.status === 'COMPLETED') return res.status(409).json({ error: 'Transaction is already completed' });
+
+    const result = await reconciler.recheck(tx);
+    const updated = await Transaction.findById(tx._id);
+    res.json({ ...result, transaction: transformDoc(updated) });
+  } catch (error) {
+    console.error('Transaction recheck error:', error);
+    res.status(500).json({ error: 'Failed to re-check transaction' });
+  }
+});
+
+reconciler.start();
+
+// --- SUBSCRIPTION EXPIRY -----------------------------------------------------
+const subscriptionService = createSubscriptionService({ User });
+app.use(subscriptionsRoutes({ User, subscriptionService, requireAdmin, transformArray }));
+subscriptionService.start();
+
+const STATUS_TOKEN_WINDOW_MS = 24 * 60 * 60 * 1000;
 
 app.get('/api/subscribe/status/:orderId', async (req, res) => {
   try {
@@ -1314,7 +2072,23 @@ app.get('/api/subscribe/status/:orderId', async (req, res) => {
         ? await User.findOne({ installationId: tx.installationId })
         : null;
 
-      return res.json({ status: 'COMPLETED', token: tx.token, user: transformDoc(user) });
+      // A fresh login for the paying installation, handed out to the first
+      // poll within a day of completion only, since anyone holding the
+      // orderId can call this. The claim on the order makes it one login,
+      // however many polls race.
+      const completedAt = tx.completedAt || tx.updatedAt;
+      let tokens = { token: null };
+      if (user && Date.now() - completedAt.getTime() < STATUS_TOKEN_WINDOW_MS) {
+        const claimed = await Transaction.findOneAndUpdate(
+          { _id: tx._id, tokensIssuedAt: null },
+          { tokensIssuedAt: new Date() }
+        );
+        if (claimed) {
+          tokens = await userTokens.issue(user, { installationId: tx.installationId, ip: req.ip, userAgent: req.get('user-agent') });
+        }
+      }
+
+      return res.json({ status: 'COMPLETED', ...tokens, user: transformDoc(user) });
     }
 
     return res.json({ status: tx.status });
@@ -1324,34 +2098,36 @@ app.get('/api/subscribe/status/:orderId', async (req, res) => {
   }
 });
 
-app.post('/api/subscribe/mock-complete/:orderId', async (req, res) => {
-  if (process.env.ALLOW_MOCK_PAY !== 'true') {
-    return res.status(403).json({ error: 'Mocking is disabled' });
+// Sandbox gateway (PAYMENT_SANDBOX=true): settles a sandbox order by sending
+// the signed callback a real gateway would.
+const sandboxSettleValidation = Joi.object({
+  status: Joi.string().valid('COMPLETED', 'FAILED', 'CANCELLED').default('COMPLETED'),
+});
+
+app.post('/api/sandbox/payments/:orderId', async (req, res) => {
+  const sandbox = providers.get('sandbox');
+  if (!sandbox) {
+    return res.status(403).json({ error: 'Sandbox payments are disabled' });
   }
 
   try {
-    const { orderId } = req.params;
-    const tx = await Transaction.findOne({ orderId });
+    const { error, value } = sandboxSettleValidation.validate(req.body || {});
+    if (error) return res.status(400).json({ error: error.details[0].message });
+
+    const tx = await Transaction.findOne({ orderId: req.params.orderId });
     if (!tx) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
+    if (tx.provider !== 'sandbox') {
+      return res.status(409).json({ error: `Transaction belongs to provider ${tx.provider}` });
+    }
 
-    const webhookPayload = {
-      order_id: orderId,
-      payment_status: 'COMPLETED',
-      buyer_phone: tx.phoneNumber
-    };
-
-    req.url = '/api/webhooks/zenopay';
-    req.method = 'POST';
-    req.body = webhookPayload;
-
-    app._router.handle(req, res, () => {});
-
+    const delivery = await sandbox.settle(tx.orderId, value.status);
+    res.json({ orderId: tx.orderId, status: value.status, callback: delivery });
   } catch (e) {
-    console.error('Mock completion error:', e.message);
+    console.error('Sandbox settle error:', e.message);
     if (!res.headersSent) {
-       res.status(500).json({ error: 'Failed to mock-complete payment' });
+       res.status(500).json({ error: 'Failed to settle sandbox payment' });
     }
   }
 });
@@ -1372,7 +2148,7 @@ app.post('/api/trial/consume', authMiddleware, async (req, res) => {
     const { seconds } = req.body;
 
     const updatedUser = await User.findOneAndUpdate(
-      { _id: userId, is_premium: false },
+      { _id: userId, ...freeUserFilter() },
       { $inc: { trialSecondsConsumed: seconds } },
       { new: true }
     );
@@ -1454,18 +2230,14 @@ app.post('/api/auth/device-login', async (req, res) => {
       });
       await user.save();
     }
+    await streamLimits.touchDevice(user, { installationId, deviceId });
 
-    const durationDays = 365;
-    const token = jwt.sign(
-      { user: { id: user.id } },
-      JWT_SECRET,
-      { expiresIn: `${durationDays}d` }
-    );
+    const tokens = await userTokens.issue(user, { installationId, ip: req.ip, userAgent: req.get('user-agent') });
 
     res.json({
       message: 'Login successful',
       user: transformDoc(user),
-      token
+      ...tokens,
     });
 
   } catch (error) {
@@ -1477,8 +2249,8 @@ app.post('/api/auth/device-login', async (req, res) => {
   }
 });
 
-// --- USER MANAGEMENT ROUTES (PATCHED: authMiddleware removed) ---
-app.get('/api/users', async (req, res) => {
+// --- USER MANAGEMENT ROUTES ---------------------------------------------
+app.get('/api/users', requireAdmin('finance', 'support'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -1486,22 +2258,25 @@ app.get('/api/users', async (req, res) => {
     const search = req.query.search || '';
 
     const filter = {};
+    const conditions = [];
 
     if (status === 'paid') {
-      filter.is_premium = true;
+      conditions.push(paidUserFilter());
     } else if (status === 'free') {
-      filter.is_premium = false;
+      conditions.push(freeUserFilter());
     }
 
     if (search) {
-      filter.$or = [
+      conditions.push({ $or: [
         { name: { $regex: search, $options: 'i' } },
         { phoneNumber: { $regex: search, $options: 'i' } },
         { deviceId: { $regex: search, $options: 'i' } },
         { installationId: { $regex: search, $options: 'i' } },
-      ];
+      ] });
     }
 
+    if (conditions.length > 0) filter.$and = conditions;
+
     const skip = (page - 1) * limit;
 
     const users = await User.find(filter)
@@ -1531,7 +2306,7 @@ app.get('/api/users', async (req, res) => {
 
 // In server.js
 
-app.get('/api/users/:id', async (req, res) => {
+app.get('/api/users/:id', requireAdmin('finance', 'support'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1570,7 +2345,7 @@ const manualUpgradeValidation = Joi.object({
   days: Joi.number().integer().min(1).required(),
 });
 
-app.post('/api/users/:id/upgrade-premium', async (req, res) => {
+app.post('/api/users/:id/upgrade-premium', requireAdmin('finance'), async (req, res) => {
   try {
     const { error } = manualUpgradeValidation.validate(req.body);
     if (error) {
@@ -1598,16 +2373,10 @@ app.post('/api/users/:id/upgrade-premium', async (req, res) => {
 
     console.log(`MANUAL UPGRADE: User ${user.id} upgraded for ${days} days. New expiry: ${newEndDate.toISOString()}`);
 
-    const token = jwt.sign(
-      { user: { id: user.id } },
-      JWT_SECRET,
-      { expiresIn: `${days}d` }
-    );
-
+    // No token: the app's own session picks the upgrade up from the user record.
     res.json({
       message: 'User upgraded successfully',
       user: transformDoc(user),
-      token: token,
     });
 
   } catch (error) {
@@ -1617,7 +2386,7 @@ app.post('/api/users/:id/upgrade-premium', async (req, res) => {
 });
 
 
-app.put('/api/users/:id', async (req, res) => {
+app.put('/api/users/:id', requireAdmin('finance'), async (req, res) => {
   try {
     const { name, phoneNumber, is_premium, subscriptionEndDate } = req.body;
 
@@ -1627,6 +2396,17 @@ app.put('/api/users/:id', async (req, res) => {
     if (is_premium !== undefined) updateData.is_premium = is_premium;
     if (subscriptionEndDate !== undefined) updateData.subscriptionEndDate = subscriptionEndDate;
 
+    const previous = await User.findById(req.params.id).select('is_premium subscriptionEndDate').lean();
+    if (!previous) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Premium only counts (and survives the expiry job) with an end date.
+    const endDate = subscriptionEndDate !== undefined ? subscriptionEndDate : previous.subscriptionEndDate;
+    if (String(is_premium) === 'true' && !(endDate && new Date(endDate) > new Date())) {
+      return res.status(400).json({ error: 'A future subscriptionEndDate is required to grant premium' });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -1637,6 +2417,15 @@ app.put('/api/users/:id', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // A downgrade (premium cleared or the end date moved back) ends the
+    // user's logins so the app has to log in again and pick up the change.
+    const now = new Date();
+    const wasPaid = previous.is_premium && previous.subscriptionEndDate > now;
+    const isPaid = user.is_premium && user.subscriptionEndDate > now;
+    if (wasPaid && (!isPaid || user.subscriptionEndDate < previous.subscriptionEndDate)) {
+      await userTokens.revokeAll(user._id, 'downgraded');
+    }
+
     res.json({ user: transformDoc(user) });
   } catch (error) {
     console.error('Update user error:', error);
@@ -1644,13 +2433,14 @@ app.put('/api/users/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/users/:id', async (req, res) => {
+app.delete('/api/users/:id', requireAdmin('owner'), async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    await userTokens.revokeAll(user._id, 'user-deleted');
 
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
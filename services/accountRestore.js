@@ -0,0 +1,216 @@
+// Restore purchase.
+// A reinstall gets a new installationId and device-login creates a fresh free
+// user for it. To get their subscription back the user proves they own the
+// phone number they paid with (an SMS one-time code); every other account
+// linked to that number - by User.phoneNumber or by its completed transactions -
+// then has its remaining time moved onto the current user, its transactions
+// re-pointed to the current installation, and its devices and logins revoked.
+const crypto = require('crypto');
+const OtpChallenge = require('../models/OtpChallenge');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const { toMsisdn } = require('./providers');
+const { higherLimit } = require('./streamLimits');
+
+const CODE_TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS || 300);
+const RESEND_AFTER_SECONDS = Number(process.env.OTP_RESEND_SECONDS || 60);
+const MAX_CODES_PER_HOUR = Number(process.env.OTP_MAX_PER_HOUR || 5);
+const MAX_ATTEMPTS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+/** The spellings a Tanzanian number may have been stored with. */
+function phoneVariants(msisdn) {
+  const local = msisdn.slice(3);
+  return [msisdn, `+${msisdn}`, `0${local}`, local];
+}
+
+function remainingMs(endDate, now) {
+  return endDate && endDate > now ? endDate.getTime() - now.getTime() : 0;
+}
+
+function addTime(endDate, ms, now) {
+  const base = endDate && endDate > now ? endDate : now;
+  return new Date(base.getTime() + ms);
+}
+
+function createRestoreService({ User, Transaction, sms, streamLimits, userTokens, JWT_SECRET }) {
+  function hashCode(phoneNumber, code) {
+    return crypto.createHmac('sha256', `${JWT_SECRET}:otp`).update(`${phoneNumber}:${code}`).digest('hex');
+  }
+
+  /** Other accounts that paid with this number. */
+  async function linkedAccounts(msisdn, user) {
+    const variants = phoneVariants(msisdn);
+    const installationIds = await Transaction.distinct('installationId', {
+      phoneNumber: { $in: variants },
+      status: 'COMPLETED',
+    });
+    return User.find({
+      _id: { $ne: user._id },
+      $or: [
+        { phoneNumber: { $in: variants } },
+        { installationId: { $in: installationIds.filter(Boolean) } },
+      ],
+    });
+  }
+
+  /**
+   * Sends a restore code when the number has something to restore. The
+   * outcome is not revealed to the caller, so numbers cannot be probed.
+   * @returns {Promise<{ ok: boolean, retryAfterSeconds?: number, expiresInSeconds?: number }>}
+   */
+  async function requestCode(user, phoneNumber) {
+    const msisdn = toMsisdn(phoneNumber);
+    const now = new Date();
+
+    const recent = await OtpChallenge.find({
+      phoneNumber: msisdn,
+      purpose: 'restore',
+      createdAt: { $gte: new Date(now.getTime() - HOUR_MS) },
+    }).sort({ createdAt: -1 }).select('createdAt').lean();
+
+    const sinceLast = recent.length ? (now - recent[0].createdAt) / 1000 : Infinity;
+    if (sinceLast < RESEND_AFTER_SECONDS) {
+      return { ok: false, retryAfterSeconds: Math.ceil(RESEND_AFTER_SECONDS - sinceLast) };
+    }
+    if (recent.length >= MAX_CODES_PER_HOUR) {
+      return { ok: false, retryAfterSeconds: Math.ceil((recent[recent.length - 1].createdAt.getTime() + HOUR_MS - now) / 1000) };
+    }
+
+    const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, '0');
+    await OtpChallenge.create({
+      phoneNumber: msisdn,
+      purpose: 'restore',
+      user: user._id,
+      codeHash: hashCode(msisdn, code),
+      expiresAt: new Date(now.getTime() + CODE_TTL_SECONDS * 1000),
+    });
+
+    if ((await linkedAccounts(msisdn, user)).length > 0) {
+      const minutes = Math.round(CODE_TTL_SECONDS / 60);
+      await sms.send(msisdn, `Town TV Max: your restore code is ${code}. It expires in ${minutes} minutes.`);
+    } else {
+      console.log(`Restore code requested for ${msisdn} with no linked purchase; SMS not sent`);
+    }
+    return { ok: true, expiresInSeconds: CODE_TTL_SECONDS };
+  }
+
+  /**
+   * Checks a code and consumes it.
+   * @returns {Promise<'ok'|'invalid'|'expired'|'locked'>}
+   */
+  async function verifyCode(user, msisdn, code) {
+    const challenge = await OtpChallenge.findOne({
+      phoneNumber: msisdn,
+      purpose: 'restore',
+      user: user._id,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    if (!challenge) return 'expired';
+    if (challenge.attempts >= MAX_ATTEMPTS) return 'locked';
+
+    const expected = Buffer.from(challenge.codeHash);
+    const given = Buffer.from(hashCode(msisdn, String(code).trim()));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      await OtpChallenge.updateOne({ _id: challenge._id }, { $inc: { attempts: 1 } });
+      return 'invalid';
+    }
+
+    const consumed = await OtpChallenge.findOneAndUpdate(
+      { _id: challenge._id, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+    return consumed ? 'ok' : 'expired';
+  }
+
+  // Moves a source account's remaining time onto the target (stacked, the
+  // same way a new purchase would be).
+  function mergeInto(target, source, now) {
+    if (source.is_premium) {
+      const ms = remainingMs(source.subscriptionEndDate, now);
+      if (ms > 0) {
+        target.is_premium = true;
+        target.subscriptionEndDate = addTime(target.subscriptionEndDate, ms, now);
+      }
+    }
+    for (const pass of source.bundleSubscriptions) {
+      const ms = remainingMs(pass.endDate, now);
+      if (ms === 0) continue;
+      const existing = target.bundleSubscriptions.find(s => s.bundle === pass.bundle);
+      if (existing) {
+        existing.endDate = addTime(existing.endDate, ms, now);
+      } else {
+        target.bundleSubscriptions.push({ bundle: pass.bundle, endDate: addTime(null, ms, now) });
+      }
+    }
+    for (const limit of ['maxDevices', 'maxStreams']) {
+      target[limit] = higherLimit(target[limit], source[limit]);
+    }
+    target.trialSecondsConsumed = Math.max(target.trialSecondsConsumed || 0, source.trialSecondsConsumed || 0);
+    if (!target.name && source.name) target.name = source.name;
+  }
+
+  /**
+   * Verifies the code and moves every linked purchase onto `user`.
+   * @returns {Promise<{ status: 'ok'|'invalid'|'expired'|'locked'|'not-found', restoredFrom?: string[] }>}
+   */
+  async function restore(user, phoneNumber, code) {
+    const msisdn = toMsisdn(phoneNumber);
+    const verification = await verifyCode(user, msisdn, code);
+    if (verification !== 'ok') return { status: verification };
+
+    const sources = await linkedAccounts(msisdn, user);
+    if (sources.length === 0) return { status: 'not-found' };
+
+    const now = new Date();
+    for (const source of sources) mergeInto(user, source, now);
+    // Saved before the sources are cleared so a failure part-way can only
+    // duplicate time, never lose it.
+    await user.save();
+
+    for (const source of sources) {
+      await SubscriptionEvent.create({
+        user: user._id,
+        type: 'restored',
+        endedAt: source.subscriptionEndDate,
+        phoneNumber: msisdn,
+        fromUser: source._id,
+      });
+
+      source.is_premium = false;
+      source.subscriptionEndDate = undefined;
+      source.bundleSubscriptions = [];
+      source.maxDevices = undefined;
+      source.maxStreams = undefined;
+      source.phoneNumber = undefined;
+      source.mergedInto = user._id;
+      await source.save();
+
+      if (source.installationId) {
+        await Transaction.updateMany(
+          { installationId: source.installationId },
+          { installationId: user.installationId }
+        );
+      }
+      await streamLimits.removeAllDevices(source._id);
+      await userTokens.revokeAll(source._id, 'restored');
+    }
+
+    user.phoneNumber = msisdn;
+    await user.save();
+
+    console.log(`🔁 Restored purchase for ${msisdn} onto user ${user.id} from ${sources.map(s => s.id).join(', ')}`);
+    return { status: 'ok', restoredFrom: sources.map(s => s.id) };
+  }
+
+  return {
+    requestCode,
+    restore,
+  };
+}
+
+module.exports = {
+  createRestoreService,
+  phoneVariants,
+};
@@ -0,0 +1,88 @@
+// Channel entitlements.
+// Every channel resolves to an access level: free, premium, or a list of named
+// bundles (e.g. "sports"). A channel set to "inherit" takes the level of its
+// main category. Plans grant bundles; a plan with no bundles is the full
+// premium pass and unlocks every premium and bundle channel.
+const Category = require('../models/Category');
+const Plan = require('../models/Plan');
+
+const ACCESS_LEVELS = ['free', 'premium', 'bundle'];
+const PREMIUM_ACCESS = Object.freeze({ access: 'premium', bundles: [] });
+
+function createEntitlementService() {
+  /** @returns {Promise<Map<string, { access: string, bundles: string[] }>>} keyed by category name */
+  async function categoryAccessMap() {
+    const categories = await Category.find({}).select('name access bundles').lean();
+    return new Map(categories.map(c => [c.name, { access: c.access || 'premium', bundles: c.bundles || [] }]));
+  }
+
+  function accessFrom(channel, categories) {
+    if (channel.access && channel.access !== 'inherit') {
+      return { access: channel.access, bundles: channel.bundles || [] };
+    }
+    return categories.get(channel.mainCategory) || PREMIUM_ACCESS;
+  }
+
+  async function channelAccess(channel) {
+    return accessFrom(channel, await categoryAccessMap());
+  }
+
+  /** What a user's subscriptions currently unlock. */
+  function userGrants(user, now = new Date()) {
+    if (!user) return { all: false, bundles: new Set() };
+    return {
+      all: Boolean(user.is_premium && user.subscriptionEndDate > now),
+      bundles: new Set((user.bundleSubscriptions || []).filter(s => s.endDate > now).map(s => s.bundle)),
+    };
+  }
+
+  function isUnlocked(access, grants) {
+    if (access.access === 'free' || grants.all) return true;
+    return access.access === 'bundle' && access.bundles.some(bundle => grants.bundles.has(bundle));
+  }
+
+  function activePlans() {
+    return Plan.find({ isActive: true }).select('planId bundles').sort({ order: 1, price: 1 }).lean();
+  }
+
+  /** planIds of active plans that would unlock the given access level. */
+  function unlockingPlans(access, plans) {
+    if (access.access === 'free') return [];
+    return plans
+      .filter(plan => !plan.bundles?.length
+        || (access.access === 'bundle' && plan.bundles.some(bundle => access.bundles.includes(bundle))))
+      .map(plan => plan.planId);
+  }
+
+  /**
+   * Adds access, bundles, locked and unlockedBy to each (lean) channel.
+   * @param {{ all: boolean, bundles: Set<string> }} grants
+   * @param {boolean} enforced - false when the paywall is off, so nothing is locked.
+   */
+  async function annotateChannels(channels, grants, enforced) {
+    const [categories, plans] = await Promise.all([categoryAccessMap(), activePlans()]);
+    for (const channel of channels) {
+      const access = accessFrom(channel, categories);
+      channel.access = access.access;
+      channel.bundles = access.bundles;
+      channel.locked = enforced && !isUnlocked(access, grants);
+      channel.unlockedBy = unlockingPlans(access, plans);
+    }
+    return channels;
+  }
+
+  return {
+    channelAccess,
+    userGrants,
+    isUnlocked,
+    activePlans,
+    unlockingPlans,
+    annotateChannels,
+  };
+}
+
+module.exports = {
+  createEntitlementService,
+  ACCESS_LEVELS,
+  PREMIUM_ACCESS,
+};
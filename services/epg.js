@@ -0,0 +1,196 @@
+// XMLTV EPG ingestion.
+// Parses XMLTV (plain or gzipped), maps each <channel id> to one of our
+// channels (Channel.epgChannelId, falling back to channelId) and stores the
+// programmes. Files listed in EPG_XMLTV_PATHS are re-read every
+// EPG_REFRESH_MINUTES, and programmes that ended more than EPG_RETENTION_HOURS
+// ago are pruned on every run.
+const fs = require('fs/promises');
+const zlib = require('zlib');
+const { XMLParser } = require('fast-xml-parser');
+const Programme = require('../models/Programme');
+
+const ARRAY_PATHS = new Set([
+  'tv.channel',
+  'tv.channel.display-name',
+  'tv.programme',
+  'tv.programme.title',
+  'tv.programme.desc',
+  'tv.programme.category',
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  isArray: (name, jpath) => ARRAY_PATHS.has(jpath),
+});
+
+// "20240101120000 +0300" -> Date. Seconds and offset are optional in XMLTV.
+function parseXmltvDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = '00', tz] = match;
+  const offset = tz ? `${tz.slice(0, 3)}:${tz.slice(3)}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// First text value of an element that may carry attributes (e.g. <title lang="sw">).
+function textOf(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (first === undefined || first === null) return '';
+  return (typeof first === 'object' ? String(first['#text'] ?? '') : String(first)).trim();
+}
+
+function decodeXmltv(input) {
+  if (Buffer.isBuffer(input)) {
+    const gzipped = input[0] === 0x1f && input[1] === 0x8b;
+    return (gzipped ? zlib.gunzipSync(input) : input).toString('utf8');
+  }
+  return String(input || '');
+}
+
+function parseXmltv(input) {
+  const doc = parser.parse(decodeXmltv(input));
+  const tv = doc.tv || {};
+
+  const channels = (tv.channel || []).map(channel => ({
+    id: channel.id,
+    name: textOf(channel['display-name']),
+  }));
+
+  const programmes = (tv.programme || []).map(programme => ({
+    xmltvChannel: programme.channel,
+    start: parseXmltvDate(programme.start),
+    stop: parseXmltvDate(programme.stop),
+    title: textOf(programme.title),
+    description: textOf(programme.desc),
+    category: textOf(programme.category),
+    iconUrl: programme.icon?.src || '',
+  }));
+
+  return { channels, programmes };
+}
+
+function createEpgService({ Channel }) {
+  const refreshMinutes = Number(process.env.EPG_REFRESH_MINUTES || 360);
+  const retentionHours = Number(process.env.EPG_RETENTION_HOURS || 24);
+  const state = { running: false, lastRunAt: null, lastResults: [] };
+
+  function configuredPaths() {
+    return (process.env.EPG_XMLTV_PATHS || '').split(',').map(p => p.trim()).filter(Boolean);
+  }
+
+  async function channelMap() {
+    const channels = await Channel.find({}).select('channelId epgChannelId').lean();
+    const map = new Map();
+    for (const channel of channels) map.set(channel.channelId, channel.channelId);
+    // Explicit mappings win over an accidental channelId match.
+    for (const channel of channels) {
+      if (channel.epgChannelId) map.set(channel.epgChannelId, channel.channelId);
+    }
+    return map;
+  }
+
+  async function pruneProgrammes() {
+    const cutoff = new Date(Date.now() - retentionHours * 60 * 60 * 1000);
+    const result = await Programme.deleteMany({ stop: { $lt: cutoff } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Stores the programmes of one XMLTV document. For every matched channel the
+   * programmes already stored inside the document's time range are replaced.
+   * @param {string|Buffer} input - XMLTV text or (optionally gzipped) buffer.
+   * @param {string} source - Recorded on each programme, e.g. the file path or 'upload'.
+   */
+  async function ingestXmltv(input, source = 'upload') {
+    const { channels, programmes } = parseXmltv(input);
+    const map = await channelMap();
+
+    const byChannel = new Map();
+    const unmatched = new Set();
+    let skipped = 0;
+
+    for (const programme of programmes) {
+      const channelId = map.get(programme.xmltvChannel);
+      if (!channelId) {
+        unmatched.add(programme.xmltvChannel);
+        continue;
+      }
+      if (!programme.start || !programme.stop || !programme.title) {
+        skipped += 1;
+        continue;
+      }
+      if (!byChannel.has(channelId)) byChannel.set(channelId, []);
+      const { xmltvChannel, ...data } = programme;
+      byChannel.get(channelId).push({ ...data, channelId, source });
+    }
+
+    let stored = 0;
+    for (const [channelId, list] of byChannel) {
+      list.sort((a, b) => a.start - b.start);
+      await Programme.deleteMany({
+        channelId,
+        start: { $gte: list[0].start, $lte: list[list.length - 1].start },
+      });
+      await Programme.insertMany(list);
+      stored += list.length;
+    }
+
+    return {
+      source,
+      channelsInFile: channels.length,
+      matchedChannels: byChannel.size,
+      unmatchedChannels: [...unmatched],
+      programmes: stored,
+      skipped,
+      pruned: await pruneProgrammes(),
+    };
+  }
+
+  async function refreshSources() {
+    if (state.running) return null;
+    state.running = true;
+    try {
+      const results = [];
+      for (const path of configuredPaths()) {
+        try {
+          const input = await fs.readFile(path);
+          results.push(await ingestXmltv(input, path));
+        } catch (error) {
+          console.error(`EPG ingest failed for ${path}:`, error.message);
+          results.push({ source: path, error: error.message });
+        }
+      }
+      if (results.length === 0) results.push({ source: null, pruned: await pruneProgrammes() });
+
+      state.lastRunAt = new Date();
+      state.lastResults = results;
+      return results;
+    } finally {
+      state.running = false;
+    }
+  }
+
+  function start() {
+    const run = () => refreshSources().catch(err => console.error('EPG refresh failed:', err.message));
+    setTimeout(run, 30_000);
+    setInterval(run, refreshMinutes * 60 * 1000);
+    console.log(`📺 EPG scheduler started (every ${refreshMinutes} min, ${configuredPaths().length} source(s))`);
+  }
+
+  return {
+    ingestXmltv,
+    refreshSources,
+    pruneProgrammes,
+    start,
+    status: () => ({ ...state, sources: configuredPaths(), refreshMinutes, retentionHours }),
+  };
+}
+
+module.exports = {
+  createEpgService,
+  parseXmltv,
+  parseXmltvDate,
+};
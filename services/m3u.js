@@ -0,0 +1,243 @@
+// M3U / M3U8 playlist parsing for channel import, and M3U writing for export.
+// Understands #EXTINF attributes (tvg-id, tvg-name, tvg-logo, group-title),
+// Kodi inputstream.adaptive #KODIPROP lines, VLC #EXTVLCOPT header options and
+// Kodi-style "url|Header=value&Header2=value" pipe headers. Fields with no
+// standard M3U home (position, subCategory, low-quality URL, status) travel as
+// tvg-chno and x-* #EXTINF attributes so an exported playlist re-imports intact.
+
+const LICENSE_TYPES = {
+  'clearkey': 'clearkey',
+  'org.w3.clearkey': 'clearkey',
+  'widevine': 'widevine',
+  'com.widevine.alpha': 'widevine',
+  'playready': 'playready',
+  'com.microsoft.playready': 'playready',
+};
+
+const EXPORT_LICENSE_TYPES = {
+  clearkey: 'clearkey',
+  widevine: 'com.widevine.alpha',
+  playready: 'com.microsoft.playready',
+};
+
+const VLC_HEADER_OPTIONS = {
+  'http-user-agent': 'User-Agent',
+  'http-referrer': 'Referer',
+  'http-referer': 'Referer',
+  'http-origin': 'Origin',
+};
+
+function slugify(name) {
+  return String(name || '').toLowerCase().trim().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const re = /([\w-]+)="([^"]*)"/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2];
+  }
+  return attributes;
+}
+
+// "User-Agent=Foo&Referer=https%3A%2F%2Fx" -> { 'User-Agent': 'Foo', Referer: 'https://x' }
+function parseHeaderString(text) {
+  const headers = {};
+  for (const pair of String(text || '').split('&')) {
+    const index = pair.indexOf('=');
+    if (index <= 0) continue;
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim();
+    try { value = decodeURIComponent(value); } catch {}
+    if (name) headers[name] = value;
+  }
+  return headers;
+}
+
+function splitPipeHeaders(url) {
+  const index = url.indexOf('|');
+  if (index === -1) return { url, headers: {} };
+  return { url: url.slice(0, index).trim(), headers: parseHeaderString(url.slice(index + 1)) };
+}
+
+function newEntry() {
+  return { line: null, hasInfo: false, name: '', attributes: {}, kodiProps: {}, headers: {} };
+}
+
+/**
+ * Parses playlist text into entries. Each entry keeps the 1-based line number of
+ * the #EXTINF that opened it so errors can point back at the source.
+ * @returns {{ entries: object[], errors: { line: number, error: string }[] }}
+ */
+function parseM3U(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const entries = [];
+  const errors = [];
+  let current = null;
+
+  lines.forEach((raw, i) => {
+    const lineNo = i + 1;
+    const line = raw.trim();
+    if (!line || line.startsWith('#EXTM3U')) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      // #KODIPROP / #EXTVLCOPT lines may come before or after #EXTINF.
+      if (current && current.hasInfo) {
+        errors.push({ line: current.line, error: 'Entry has no stream URL' });
+        current = null;
+      }
+      current = current || newEntry();
+      current.hasInfo = true;
+      current.line = lineNo;
+      const commaIndex = line.lastIndexOf(',');
+      const head = commaIndex === -1 ? line : line.slice(0, commaIndex);
+      current.name = commaIndex === -1 ? '' : line.slice(commaIndex + 1).trim();
+      current.attributes = parseAttributes(head);
+      return;
+    }
+
+    if (line.startsWith('#KODIPROP:')) {
+      if (!current) current = { ...newEntry(), line: lineNo };
+      const prop = line.slice('#KODIPROP:'.length);
+      const index = prop.indexOf('=');
+      if (index > 0) current.kodiProps[prop.slice(0, index).trim()] = prop.slice(index + 1).trim();
+      return;
+    }
+
+    if (line.startsWith('#EXTVLCOPT:')) {
+      if (!current) current = { ...newEntry(), line: lineNo };
+      const opt = line.slice('#EXTVLCOPT:'.length);
+      const index = opt.indexOf('=');
+      const header = index > 0 ? VLC_HEADER_OPTIONS[opt.slice(0, index).trim().toLowerCase()] : null;
+      if (header) current.headers[header] = opt.slice(index + 1).trim();
+      return;
+    }
+
+    if (line.startsWith('#')) return;
+
+    if (!current) {
+      errors.push({ line: lineNo, error: 'Stream URL without a preceding #EXTINF line' });
+      return;
+    }
+
+    const { url, headers } = splitPipeHeaders(line);
+    current.url = url;
+    Object.assign(current.headers, headers);
+    entries.push(current);
+    current = null;
+  });
+
+  if (current) errors.push({ line: current.line, error: 'Entry has no stream URL' });
+
+  return { entries, errors };
+}
+
+function drmFromKodiProps(props) {
+  const licenseType = props['inputstream.adaptive.license_type'];
+  if (!licenseType) return { enabled: false, provider: 'none', key: '', licenseServer: '' };
+
+  const provider = LICENSE_TYPES[licenseType.toLowerCase()] || licenseType;
+  const licenseKey = props['inputstream.adaptive.license_key'] || '';
+  const drm = { enabled: true, provider, key: '', licenseServer: '' };
+
+  if (/^https?:\/\//i.test(licenseKey)) {
+    drm.licenseServer = licenseKey.split('|')[0];
+  } else {
+    drm.key = licenseKey;
+  }
+  return drm;
+}
+
+/**
+ * Maps a parsed entry onto the Channel schema.
+ * @param {object} entry - An entry returned by parseM3U.
+ * @param {{ mainCategory?: string, subCategory?: string }} defaults - Used when group-title / x-subcategory is missing.
+ *   Without either subCategory is left unset (routes/playlists.js picks one per main category).
+ */
+function entryToChannel(entry, defaults = {}) {
+  const { attributes } = entry;
+  const name = entry.name || attributes['tvg-name'] || attributes['tvg-id'] || '';
+  const headers = {
+    ...parseHeaderString(entry.kodiProps['inputstream.adaptive.stream_headers']),
+    ...entry.headers,
+  };
+
+  const channel = {
+    name,
+    channelId: attributes['tvg-id'] || slugify(name),
+    playbackUrl: entry.url,
+    drm: drmFromKodiProps(entry.kodiProps),
+    playbackHeaders: headers,
+    mainCategory: attributes['group-title'] || defaults.mainCategory,
+    subCategory: defaults.subCategory,
+  };
+  if (attributes['tvg-logo']) channel.thumbnailUrl = attributes['tvg-logo'];
+  if (attributes['x-subcategory']) channel.subCategory = attributes['x-subcategory'];
+  if (attributes['x-low-quality-url']) channel.playbackUrlLowQuality = attributes['x-low-quality-url'];
+  if (attributes['x-status']) channel.status = attributes['x-status'] !== 'false';
+  if (attributes['tvg-chno'] && !Number.isNaN(Number(attributes['tvg-chno']))) {
+    channel.position = Number(attributes['tvg-chno']);
+  }
+
+  return channel;
+}
+
+function attr(name, value) {
+  return value === undefined || value === null || value === '' ? '' : ` ${name}="${String(value).replace(/"/g, "'")}"`;
+}
+
+function encodeHeaderString(headers) {
+  return Object.entries(headers)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+/**
+ * Writes channels as an extended M3U playlist.
+ * @param {object[]} channels - Plain channel objects (lean docs, playbackHeaders as an object).
+ */
+function buildM3U(channels) {
+  const out = ['#EXTM3U'];
+
+  for (const channel of channels) {
+    const headers = channel.playbackHeaders || {};
+    out.push(
+      '#EXTINF:-1'
+      + attr('tvg-id', channel.channelId)
+      + attr('tvg-name', channel.name)
+      + attr('tvg-logo', channel.thumbnailUrl)
+      + attr('tvg-chno', channel.position)
+      + attr('group-title', channel.mainCategory)
+      + attr('x-subcategory', channel.subCategory)
+      + attr('x-low-quality-url', channel.playbackUrlLowQuality)
+      + attr('x-status', channel.status === false ? 'false' : '')
+      + `,${channel.name}`
+    );
+
+    const drm = channel.drm || {};
+    if (drm.enabled && drm.provider && drm.provider !== 'none') {
+      out.push(`#KODIPROP:inputstream.adaptive.license_type=${EXPORT_LICENSE_TYPES[drm.provider] || drm.provider}`);
+      const licenseKey = drm.provider === 'clearkey' && drm.key ? drm.key : drm.licenseServer;
+      if (licenseKey) out.push(`#KODIPROP:inputstream.adaptive.license_key=${licenseKey}`);
+    }
+
+    if (Object.keys(headers).length > 0) {
+      out.push(`#KODIPROP:inputstream.adaptive.stream_headers=${encodeHeaderString(headers)}`);
+    }
+    for (const [option, header] of [['http-user-agent', 'User-Agent'], ['http-referrer', 'Referer'], ['http-origin', 'Origin']]) {
+      if (headers[header]) out.push(`#EXTVLCOPT:${option}=${headers[header]}`);
+    }
+
+    out.push(channel.playbackUrl);
+  }
+
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  parseM3U,
+  entryToChannel,
+  buildM3U,
+  slugify,
+};
@@ -0,0 +1,101 @@
+// HLS / DASH manifest helpers shared by the stream health monitor.
+const { XMLParser } = require('fast-xml-parser');
+
+const DASH_ARRAY_TAGS = new Set(['Period', 'AdaptationSet', 'Representation', 'BaseURL']);
+
+const dashParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: name => DASH_ARRAY_TAGS.has(name),
+});
+
+function resolveUrl(uri, base) {
+  try {
+    return new URL(uri, base).toString();
+  } catch {
+    return null;
+  }
+}
+
+/** @returns {'hls'|'dash'|null} */
+function detectFormat(body) {
+  const text = String(body || '').trimStart();
+  if (text.startsWith('#EXTM3U')) return 'hls';
+  if (/<MPD[\s>]/.test(text.slice(0, 2048))) return 'dash';
+  return null;
+}
+
+function attributeValue(line, name) {
+  const match = new RegExp(`${name}="([^"]*)"`).exec(line);
+  return match ? match[1] : null;
+}
+
+/**
+ * Splits an HLS playlist into variant (master) or segment (media) URIs, all
+ * resolved against the playlist URL.
+ */
+function parseHlsPlaylist(body, playlistUrl) {
+  const lines = String(body || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const isMaster = lines.some(l => l.startsWith('#EXT-X-STREAM-INF'));
+  const variants = [];
+  const segments = [];
+  let initSegment = null;
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (line.startsWith('#EXT-X-STREAM-INF')) {
+      const next = lines[i + 1];
+      if (next && !next.startsWith('#')) variants.push(resolveUrl(next, playlistUrl));
+    } else if (line.startsWith('#EXT-X-MAP')) {
+      const uri = attributeValue(line, 'URI');
+      if (uri) initSegment = resolveUrl(uri, playlistUrl);
+    } else if (!isMaster && !line.startsWith('#')) {
+      segments.push(resolveUrl(line, playlistUrl));
+    }
+  }
+
+  return { isMaster, variants: variants.filter(Boolean), segments: segments.filter(Boolean), initSegment };
+}
+
+function baseUrlOf(node, parentBase) {
+  const base = node?.BaseURL?.[0];
+  const value = typeof base === 'object' ? base['#text'] : base;
+  return value ? resolveUrl(value, parentBase) : parentBase;
+}
+
+/**
+ * Returns URLs worth probing for the first representation of a DASH MPD: the
+ * initialization segment (SegmentTemplate) or the representation's own
+ * BaseURL (SegmentBase / single-file). Live $Number$/$Time$ media segments are
+ * not computed.
+ */
+function dashProbeUrls(body, mpdUrl) {
+  const mpd = dashParser.parse(String(body || '')).MPD;
+  if (!mpd) throw new Error('MPD root element missing');
+
+  const mpdBase = baseUrlOf(mpd, mpdUrl);
+  const period = mpd.Period?.[0];
+  const adaptationSet = period?.AdaptationSet?.[0];
+  const representation = adaptationSet?.Representation?.[0];
+  if (!representation) throw new Error('MPD has no Representation');
+
+  const base = baseUrlOf(representation, baseUrlOf(adaptationSet, baseUrlOf(period, mpdBase)));
+  const template = representation.SegmentTemplate || adaptationSet.SegmentTemplate;
+
+  if (template?.initialization) {
+    const init = template.initialization
+      .replace(/\$RepresentationID\$/g, representation.id || '')
+      .replace(/\$Bandwidth\$/g, representation.bandwidth || '');
+    return [resolveUrl(init, base)].filter(Boolean);
+  }
+  return representation.BaseURL ? [base] : [];
+}
+
+module.exports = {
+  detectFormat,
+  parseHlsPlaylist,
+  dashProbeUrls,
+  resolveUrl,
+};
@@ -0,0 +1,178 @@
+// Scheduled notification dispatcher.
+// Schedules live on the notifications themselves, so nothing is lost on a
+// restart: every NOTIFICATION_SCHEDULER_INTERVAL_SECONDS the dispatcher
+// 1. turns each due recurring series into an ordinary one-off notification for
+//    that occurrence (unique per series + time, so two instances create one)
+//    and moves the series on to its next occurrence, then
+// 2. claims due one-off notifications one at a time through the atomic
+//    notificationDelivery.claimDue and delivers them, so each is sent by
+//    exactly one instance.
+// Recurring times are wall-clock times in the series' timezone (default East
+// Africa Time). An occurrence missed by more than NOTIFICATION_MISSED_GRACE_MINUTES
+// (e.g. the server was down) is skipped rather than sent late.
+
+const DEFAULT_TIMEZONE = 'Africa/Dar_es_Salaam';
+const BATCH_SIZE = 100;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/** Wall-clock date parts of `date` in `timeZone`. */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+function offsetMs(timestamp, timeZone) {
+  const p = zonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (timestamp - (timestamp % 1000));
+}
+
+/** The instant a wall-clock time in `timeZone` happens. */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = offsetMs(guess, timeZone);
+  // Re-checked once so a DST change between guess and result is accounted for.
+  const corrected = offsetMs(guess - offset, timeZone);
+  return new Date(guess - corrected);
+}
+
+/**
+ * The first occurrence of a recurrence strictly after `after`.
+ * @param {{ frequency: 'daily'|'weekly', time: string, days_of_week?: number[], timezone?: string, ends_at?: Date }} recurrence
+ * @returns {Date|null} null once the series has passed ends_at.
+ */
+function nextOccurrence(recurrence, after = new Date()) {
+  const timeZone = recurrence.timezone || DEFAULT_TIMEZONE;
+  const [hour, minute] = recurrence.time.split(':').map(Number);
+  const today = zonedParts(after, timeZone);
+  const days = recurrence.days_of_week || [];
+
+  for (let i = 0; i <= 7; i++) {
+    const local = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (recurrence.frequency === 'weekly' && !days.includes(local.getUTCDay())) continue;
+
+    const occurrence = zonedTimeToUtc(local.getUTCFullYear(), local.getUTCMonth() + 1, local.getUTCDate(), hour, minute, timeZone);
+    if (occurrence <= after) continue;
+    if (recurrence.ends_at && occurrence > recurrence.ends_at) return null;
+    return occurrence;
+  }
+  return null;
+}
+
+function createNotificationScheduler({ Notification, notificationDelivery }) {
+  const intervalSeconds = Number(process.env.NOTIFICATION_SCHEDULER_INTERVAL_SECONDS ?? 30);
+  const graceMinutes = Number(process.env.NOTIFICATION_MISSED_GRACE_MINUTES ?? 60);
+  const state = { running: false, lastRunAt: null, lastRunSent: 0, lastRunOccurrences: 0, lastRunSkipped: 0 };
+
+  // Creates the one-off notification for the series' current occurrence.
+  async function materialize(series) {
+    try {
+      await Notification.create({
+        title: series.title,
+        message: series.message,
+        target_audience: series.target_audience,
+        status: 'scheduled',
+        scheduled_at: series.scheduled_at,
+        parent: series._id,
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false; // another instance got there first
+      throw error;
+    }
+  }
+
+  async function expandRecurring(now) {
+    const totals = { occurrences: 0, skipped: 0 };
+    const due = await Notification.find({
+      status: 'scheduled',
+      recurrence: { $ne: null },
+      scheduled_at: { $lte: now },
+    }).sort({ scheduled_at: 1 }).limit(BATCH_SIZE);
+
+    for (const series of due) {
+      const lateMs = now - series.scheduled_at;
+      if (graceMinutes > 0 && lateMs > graceMinutes * 60 * 1000) {
+        totals.skipped += 1;
+        console.log(`🔔 Skipped occurrence ${series.scheduled_at.toISOString()} of notification ${series.id} (${Math.round(lateMs / 60000)} min late)`);
+      } else if (await materialize(series)) {
+        totals.occurrences += 1;
+      }
+
+      const next = nextOccurrence(series.recurrence, now);
+      // Conditional on the occurrence just handled, so a concurrent run or a
+      // reschedule in between is not overwritten.
+      await Notification.updateOne(
+        { _id: series._id, status: 'scheduled', scheduled_at: series.scheduled_at },
+        next ? { scheduled_at: next } : { status: 'completed' }
+      );
+    }
+    return totals;
+  }
+
+  async function sendDue(now) {
+    let sent = 0;
+    for (;;) {
+      const notification = await notificationDelivery.claimDue(now);
+      if (!notification) return sent;
+      await notificationDelivery.deliver(notification);
+      sent += 1;
+    }
+  }
+
+  async function runOnce() {
+    if (state.running) return null;
+    state.running = true;
+    try {
+      const now = new Date();
+      const { occurrences, skipped } = await expandRecurring(now);
+      const sent = await sendDue(now);
+
+      state.lastRunAt = now;
+      state.lastRunSent = sent;
+      state.lastRunOccurrences = occurrences;
+      state.lastRunSkipped = skipped;
+      return state;
+    } finally {
+      state.running = false;
+    }
+  }
+
+  function start() {
+    if (intervalSeconds <= 0) {
+      console.log('Notification scheduler disabled (NOTIFICATION_SCHEDULER_INTERVAL_SECONDS=0)');
+      return;
+    }
+    const run = () => runOnce().catch(err => console.error('Notification scheduler run failed:', err.message));
+    setTimeout(run, 15_000);
+    setInterval(run, intervalSeconds * 1000);
+    console.log(`🔔 Notification scheduler started (every ${intervalSeconds}s)`);
+  }
+
+  return {
+    runOnce,
+    start,
+    status: () => ({ ...state, intervalSeconds, graceMinutes }),
+  };
+}
+
+module.exports = {
+  createNotificationScheduler,
+  nextOccurrence,
+  isValidTimeZone,
+  DEFAULT_TIMEZONE,
+};
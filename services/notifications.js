@@ -0,0 +1,166 @@
+// Push notification delivery.
+// Sending a notification claims it (status 'sending'), walks the target
+// audience's users in chunks, and fans the message out to their push tokens
+// through the configured transport in batches of the transport's size (capped
+// by PUSH_BATCH_SIZE). Every device result is stored in NotificationDelivery,
+// tokens reported as unregistered are deleted, and the notification ends up
+// 'sent' with real delivered/failed counts (or 'failed' if the transport
+// could not send at all). A resumed or retried send skips devices that
+// already got the notification.
+const NotificationDelivery = require('../models/NotificationDelivery');
+const PushToken = require('../models/PushToken');
+const { paidUserFilter, freeUserFilter } = require('./subscriptions');
+
+const USER_CHUNK_SIZE = 1000;
+// Statuses a notification can be sent from.
+const SENDABLE_STATUSES = ['draft', 'scheduled', 'failed'];
+// A send whose sending_started_at has not been refreshed for this long was cut
+// off (e.g. by a restart) and may be claimed again. Running sends refresh it
+// after every chunk of users, so a long fan-out is never claimed twice.
+const SENDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+function audienceFilter(audience) {
+  if (audience === 'paid') return paidUserFilter();
+  if (audience === 'free') return freeUserFilter();
+  return {};
+}
+
+function createNotificationDeliveryService({ User, Notification, transport }) {
+  const batchSize = Math.min(Number(process.env.PUSH_BATCH_SIZE || 500), transport.maxBatchSize);
+
+  async function sendBatch(notification, tokens, totals) {
+    const messages = tokens.map(t => ({
+      token: t.token,
+      title: notification.title,
+      body: notification.message,
+      data: { notificationId: notification.id },
+    }));
+    const results = await transport.sendBatch(messages);
+    const byToken = new Map(tokens.map(t => [t.token, t]));
+
+    const invalid = [];
+    const deliveries = results.map(result => {
+      const pushToken = byToken.get(result.token);
+      let status = 'delivered';
+      if (!result.ok) status = result.invalidToken ? 'invalid' : 'failed';
+      if (status === 'delivered') totals.delivered += 1;
+      else totals.failed += 1;
+      if (status === 'invalid') invalid.push(result.token);
+      return {
+        notification: notification._id,
+        user: pushToken?.user,
+        token: result.token,
+        platform: pushToken?.platform,
+        status,
+        error: result.error || '',
+      };
+    });
+
+    await NotificationDelivery.insertMany(deliveries, { ordered: false });
+    if (invalid.length > 0) {
+      await PushToken.deleteMany({ token: { $in: invalid } });
+      totals.pruned += invalid.length;
+    }
+  }
+
+  async function fanOut(notification, totals) {
+    const users = User.find(audienceFilter(notification.target_audience)).select('_id').lean().cursor({ batchSize: USER_CHUNK_SIZE });
+
+    let userIds = [];
+    const flush = async () => {
+      const candidates = await PushToken.find({ user: { $in: userIds } }).select('token user platform').lean();
+      userIds = [];
+      const delivered = new Set(await NotificationDelivery.distinct('token', {
+        notification: notification._id,
+        status: 'delivered',
+        token: { $in: candidates.map(t => t.token) },
+      }));
+      const tokens = candidates.filter(t => !delivered.has(t.token));
+      for (let i = 0; i < tokens.length; i += batchSize) {
+        await sendBatch(notification, tokens.slice(i, i + batchSize), totals);
+      }
+      // Earlier deliveries count too, so the totals cover the whole send.
+      totals.targeted += candidates.length;
+      totals.delivered += delivered.size;
+      await Notification.updateOne({ _id: notification._id, status: 'sending' }, { sending_started_at: new Date() });
+    };
+
+    for await (const user of users) {
+      userIds.push(user._id);
+      if (userIds.length >= USER_CHUNK_SIZE) await flush();
+    }
+    if (userIds.length > 0) await flush();
+  }
+
+  function staleSending(now) {
+    return { status: 'sending', sending_started_at: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } };
+  }
+
+  /**
+   * Claims a notification for sending. Recurring series are never sent
+   * themselves; the scheduler sends one notification per occurrence.
+   * @returns {Promise<object|null>} the claimed notification, or null if it is
+   *   missing, recurring, already sent or being sent.
+   */
+  function claim(notificationId) {
+    const now = new Date();
+    return Notification.findOneAndUpdate(
+      {
+        _id: notificationId,
+        recurrence: null,
+        $or: [{ status: { $in: SENDABLE_STATUSES } }, staleSending(now)],
+      },
+      { status: 'sending', sending_started_at: now, last_error: '' },
+      { new: true }
+    );
+  }
+
+  /**
+   * Claims the longest-overdue scheduled notification (or a send cut off by a
+   * restart). Atomic, so with several servers each one goes to exactly one.
+   * @returns {Promise<object|null>}
+   */
+  function claimDue(now = new Date()) {
+    return Notification.findOneAndUpdate(
+      {
+        recurrence: null,
+        $or: [{ status: 'scheduled', scheduled_at: { $lte: now } }, staleSending(now)],
+      },
+      { status: 'sending', sending_started_at: new Date(), last_error: '' },
+      { new: true, sort: { scheduled_at: 1 } }
+    );
+  }
+
+  /** Delivers a claimed notification and records the outcome on it. */
+  async function deliver(notification) {
+    const totals = { targeted: 0, delivered: 0, failed: 0, pruned: 0 };
+    try {
+      await fanOut(notification, totals);
+      notification.status = 'sent';
+      notification.sent_at = new Date();
+      console.log(`🔔 Notification ${notification.id} sent via ${transport.name}: ${totals.delivered} delivered, ${totals.failed} failed, ${totals.pruned} token(s) pruned`);
+    } catch (error) {
+      console.error(`Notification ${notification.id} delivery failed:`, error.message);
+      notification.status = 'failed';
+      notification.last_error = error.message;
+    }
+    notification.target_count = totals.targeted;
+    notification.sent_count = totals.delivered;
+    notification.failed_count = totals.failed;
+    notification.pruned_count = totals.pruned;
+    await notification.save();
+    return notification;
+  }
+
+  return {
+    claim,
+    claimDue,
+    deliver,
+    transportName: transport.name,
+  };
+}
+
+module.exports = {
+  createNotificationDeliveryService,
+  SENDABLE_STATUSES,
+};
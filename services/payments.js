@@ -0,0 +1,165 @@
+// Payment fulfilment.
+// Applies a provider's payment status to a transaction and, on COMPLETED,
+// grants the purchased plan to the user. Processing is idempotent: the order
+// is flipped to COMPLETED with a conditional update before anything is
+// granted, so only one delivery can ever apply it. If granting then fails the
+// order keeps fulfilmentError for support to resolve by hand rather than risk
+// granting twice.
+const Plan = require('../models/Plan');
+const { higherLimit } = require('./streamLimits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TERMINAL_FAILURE_STATUSES = ['FAILED', 'CANCELLED', 'EXPIRED'];
+
+/**
+ * Extends the full premium pass, or each bundle pass for bundle plans. Time is
+ * added on top of an unexpired subscription rather than replacing it.
+ * `plan` (optional) carries the plan's device/stream limits; while an earlier
+ * pass is still running the higher of the two limits is kept.
+ */
+function grantSubscription(user, bundles, durationDays, now = new Date(), plan = null) {
+  const extend = current => {
+    const base = current && current > now ? current : now;
+    return new Date(base.getTime() + durationDays * DAY_MS);
+  };
+
+  const running = user.subscriptionEndDate > now || user.bundleSubscriptions.some(s => s.endDate > now);
+  for (const limit of ['maxDevices', 'maxStreams']) {
+    user[limit] = higherLimit(running ? user[limit] : undefined, plan?.[limit]);
+  }
+
+  if (!bundles?.length) {
+    user.is_premium = true;
+    user.subscriptionEndDate = extend(user.subscriptionEndDate);
+    return;
+  }
+
+  for (const bundle of bundles) {
+    const existing = user.bundleSubscriptions.find(s => s.bundle === bundle);
+    if (existing) {
+      existing.endDate = extend(existing.endDate);
+    } else {
+      user.bundleSubscriptions.push({ bundle, endDate: extend(null) });
+    }
+  }
+}
+
+function createPaymentService({ Transaction, User }) {
+  // Upgrades (or creates) the buyer of a transaction already marked COMPLETED.
+  async function fulfil(tx) {
+    // Duration comes from the snapshot taken at checkout, so plan edits
+    // made while the order was pending do not change what was bought.
+    const plan = tx.planId ? await Plan.findOne({ planId: tx.planId }).lean() : null;
+    const durationDays = tx.durationDays || plan?.durationDays || 30;
+
+    const now = tx.completedAt;
+
+    const existingUser = tx.installationId
+      ? await User.findOne({ installationId: tx.installationId })
+      : null;
+
+
+    if (existingUser) {
+      console.log(`Upgrading existing user: ${existingUser.id}`);
+      grantSubscription(existingUser, tx.bundles, durationDays, now, plan);
+      if (tx.name) existingUser.name = tx.name;
+
+      let shouldUpdatePhoneNumber = !existingUser.phoneNumber && tx.phoneNumber;
+      if (shouldUpdatePhoneNumber) {
+        const phoneOwner = await User.findOne({ phoneNumber: tx.phoneNumber });
+        if (phoneOwner && phoneOwner.id !== existingUser.id) {
+          console.warn(`Phone number ${tx.phoneNumber} is already linked to user ${phoneOwner.id}. Upgrading user ${existingUser.id} without changing phone number.`);
+          shouldUpdatePhoneNumber = false;
+        }
+      }
+      if (shouldUpdatePhoneNumber) {
+        existingUser.phoneNumber = tx.phoneNumber;
+      }
+
+      await existingUser.save();
+      console.log(`[Payments] Extended user ${existingUser.id} (${tx.bundles?.length ? `bundles: ${tx.bundles.join(', ')}` : 'premium'})`);
+
+    } else {
+      console.log(`Creating new premium user for installationId ${tx.installationId}`);
+      const newUser = new User({
+        name: tx.name || 'New User',
+        phoneNumber: tx.phoneNumber,
+        installationId: tx.installationId,
+      });
+      grantSubscription(newUser, tx.bundles, durationDays, now, plan);
+      await newUser.save();
+      console.log(`[Payments] Created premium user ${newUser.id} (installationId=${tx.installationId})`);
+    }
+
+    await Transaction.updateOne({ _id: tx._id }, { fulfilledAt: new Date() });
+  }
+
+  /**
+   * Applies a provider payment status to the order.
+   * @returns {Promise<{ outcome: 'processed'|'ignored', message: string }>}
+   */
+  async function applyPaymentStatus(orderId, paymentStatus) {
+    const tx = await Transaction.findOne({ orderId });
+    if (!tx) return { outcome: 'ignored', message: 'Transaction not found' };
+    if (tx.status === 'COMPLETED') return { outcome: 'ignored', message: 'Transaction already completed' };
+
+    if (paymentStatus === 'COMPLETED') {
+      // Completing first means concurrent or replayed deliveries cannot apply it twice.
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: tx._id, status: { $ne: 'COMPLETED' } },
+        { status: 'COMPLETED', completedAt: new Date() },
+        { new: true }
+      );
+      if (!claimed) return { outcome: 'ignored', message: 'Transaction completed concurrently' };
+
+      try {
+        await fulfil(claimed);
+      } catch (error) {
+        console.error(`❗ Transaction ${orderId} completed but the plan was not granted:`, error.message);
+        await Transaction.updateOne({ _id: tx._id }, { fulfilmentError: error.message });
+        throw error;
+      }
+      console.log(`✅ Completed transaction ${orderId}`);
+      return { outcome: 'processed', message: 'Transaction completed' };
+    }
+
+    if (TERMINAL_FAILURE_STATUSES.includes(paymentStatus)) {
+      const result = await Transaction.updateOne({ _id: tx._id, status: { $ne: 'COMPLETED' } }, { status: paymentStatus });
+      if (result.modifiedCount === 0 && tx.status !== paymentStatus) {
+        return { outcome: 'ignored', message: 'Transaction completed concurrently' };
+      }
+      console.log(`☑️ Marked transaction ${orderId} as ${paymentStatus}`);
+      return { outcome: 'processed', message: `Transaction marked ${paymentStatus}` };
+    }
+
+    return { outcome: 'ignored', message: `Unhandled payment status: ${paymentStatus}` };
+  }
+
+  /** Runs a stored webhook event through applyPaymentStatus and records the result. */
+  async function processWebhookEvent(event) {
+    event.attempts += 1;
+    try {
+      const { outcome, message } = await applyPaymentStatus(event.orderId, event.paymentStatus);
+      event.status = outcome;
+      event.result = message;
+      event.error = '';
+    } catch (error) {
+      console.error(`Webhook event ${event.id} failed:`, error);
+      event.status = 'failed';
+      event.error = error.message;
+    }
+    event.processedAt = new Date();
+    await event.save();
+    return event;
+  }
+
+  return {
+    applyPaymentStatus,
+    processWebhookEvent,
+  };
+}
+
+module.exports = {
+  createPaymentService,
+  grantSubscription,
+};
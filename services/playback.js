@@ -0,0 +1,125 @@
+// Playback sessions and DRM response shaping.
+// A playback token is a short-lived JWT naming one playable resource (channel,
+// content item or series episode) and the user it was issued to; tokens for a
+// logged-in viewer also name their stream session. DRM license requests must
+// present it, so keys and license servers are only reachable through a
+// paywall-checked playback session. Tokens are signed with a secret derived
+// from JWT_SECRET so they can never pass as login tokens.
+const jwt = require('jsonwebtoken');
+const Content = require('../models/Content');
+const Series = require('../models/Series');
+
+const PLAYBACK_TOKEN_TTL_SECONDS = Number(process.env.PLAYBACK_TOKEN_TTL_SECONDS || 300);
+const RESOURCE_TYPES = ['channel', 'content', 'episode'];
+const LICENSE_PROVIDERS = ['clearkey', 'widevine', 'playready'];
+
+function toBase64Url(value) {
+  const text = String(value).trim();
+  if (/^[0-9a-f]{32}$/i.test(text)) return Buffer.from(text, 'hex').toString('base64url');
+  return text.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Reads a stored ClearKey value into kid -> key pairs (both base64url).
+ * Accepts "kid:key" pairs (hex or base64, separated by commas, semicolons or
+ * newlines), a JSON object { kid: key }, or an EME key set { keys: [{ kid, k }] }.
+ * @returns {Map<string, string>}
+ */
+function parseClearKeys(stored) {
+  const pairs = new Map();
+  const text = String(stored || '').trim();
+  if (!text) return pairs;
+
+  if (text.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed.keys)) {
+        for (const { kid, k } of parsed.keys) if (kid && k) pairs.set(toBase64Url(kid), toBase64Url(k));
+      } else {
+        for (const [kid, k] of Object.entries(parsed)) pairs.set(toBase64Url(kid), toBase64Url(k));
+      }
+      return pairs;
+    } catch {
+      return pairs;
+    }
+  }
+
+  for (const entry of text.split(/[,;\n]/)) {
+    const [kid, k] = entry.split(':');
+    if (kid && k) pairs.set(toBase64Url(kid), toBase64Url(k));
+  }
+  return pairs;
+}
+
+function createPlaybackService({ Channel, JWT_SECRET }) {
+  const secret = `${JWT_SECRET}:playback`;
+
+  function issuePlaybackToken({ type, id, userId, streamSessionId }) {
+    return jwt.sign(
+      { playback: { type, id, userId: userId || null, streamSessionId: streamSessionId || null } },
+      secret,
+      { expiresIn: PLAYBACK_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  /** @returns {{ type: string, id: string, userId: string|null, streamSessionId: string|null }|null} */
+  function verifyPlaybackToken(token) {
+    try {
+      const payload = jwt.verify(token, secret);
+      return RESOURCE_TYPES.includes(payload.playback?.type) ? payload.playback : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Episode ids are "<seriesId>/<episodeId>" since episodeId is only unique per series.
+  async function loadResource(type, id) {
+    if (type === 'channel') {
+      return Channel.findOne({ channelId: id, status: true }).lean();
+    }
+    if (type === 'content') {
+      return Content.findOne({ contentId: id, status: true }).lean();
+    }
+    if (type === 'episode') {
+      const [seriesId, episodeId] = id.split('/');
+      const series = await Series.findOne({ seriesId, status: true });
+      const found = series?.findEpisode(episodeId);
+      return found && found.episode.status ? found.episode.toObject({ flattenMaps: true }) : null;
+    }
+    return null;
+  }
+
+  function baseUrl(req) {
+    return process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  }
+
+  /**
+   * Public copy of a DRM block: keys and upstream license servers never leave
+   * the server, players are pointed at our license endpoints instead.
+   */
+  function publicDrm(req, drm) {
+    if (!drm) return drm;
+    const { key, ...rest } = drm;
+    if (rest.enabled && LICENSE_PROVIDERS.includes(rest.provider)) {
+      rest.licenseServer = `${baseUrl(req)}/api/public/license/${rest.provider}`;
+    } else {
+      rest.licenseServer = '';
+    }
+    return rest;
+  }
+
+  return {
+    issuePlaybackToken,
+    verifyPlaybackToken,
+    loadResource,
+    publicDrm,
+    parseClearKeys,
+    tokenTtlSeconds: PLAYBACK_TOKEN_TTL_SECONDS,
+  };
+}
+
+module.exports = {
+  createPlaybackService,
+  parseClearKeys,
+  toBase64Url,
+};
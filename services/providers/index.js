@@ -0,0 +1,92 @@
+// Payment provider registry.
+// A provider is a plain object:
+//   name                          - used in /api/webhooks/:name and Transaction.provider
+//   secretHeaders                 - request headers redacted from the webhook event log
+//   isConfigured()                - false when credentials are missing
+//   initiate(tx, { callbackUrl }) - starts the charge; resolves { reference } or throws
+//   verifyWebhook(req)            - { ok, reason } for an incoming callback
+//   parseCallback(req)            - { orderId, paymentStatus, reference }
+//   queryStatus(tx)               - gateway's payment status for the order, or null
+// Payment statuses are normalized to PENDING, COMPLETED, FAILED, CANCELLED or EXPIRED.
+//
+// The provider for an order is picked by the plan's `provider` field, then by
+// phone-number prefix (PAYMENT_PROVIDER_PREFIXES, e.g. "25574=mpesa,25568=airtel"),
+// then PAYMENT_DEFAULT_PROVIDER.
+const zenopay = require('./zenopay');
+const { createSandboxProvider } = require('./sandbox');
+
+const ALWAYS_REDACTED_HEADERS = ['authorization', 'cookie'];
+
+/** Normalizes a Tanzanian phone number to 255XXXXXXXXX digits. */
+function toMsisdn(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('255')) return digits;
+  if (digits.startsWith('0')) return `255${digits.slice(1)}`;
+  if (digits.length === 9) return `255${digits}`;
+  return digits;
+}
+
+function parsePrefixRoutes(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([prefix, provider]) => prefix && provider)
+    .map(([prefix, provider]) => ({ prefix: toMsisdn(prefix), provider }))
+    // Longest prefix wins.
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+// Only the explicit flag: the sandbox becomes the default provider and its
+// settle route grants plans without payment.
+function sandboxEnabled() {
+  return process.env.PAYMENT_SANDBOX === 'true';
+}
+
+function createProviderRegistry({ JWT_SECRET }) {
+  const providers = new Map([[zenopay.name, zenopay]]);
+  if (sandboxEnabled()) {
+    providers.set('sandbox', createSandboxProvider({ JWT_SECRET }));
+    console.log('🧪 Sandbox payment provider enabled');
+  } else if (process.env.ALLOW_MOCK_PAY === 'true') {
+    console.warn('ALLOW_MOCK_PAY is no longer used; set PAYMENT_SANDBOX=true to enable sandbox payments');
+  }
+
+  const prefixRoutes = parsePrefixRoutes(process.env.PAYMENT_PROVIDER_PREFIXES);
+  const defaultProvider = process.env.PAYMENT_DEFAULT_PROVIDER || (sandboxEnabled() ? 'sandbox' : zenopay.name);
+
+  function get(name) {
+    return providers.get(name) || null;
+  }
+
+  /**
+   * Picks the provider name for a checkout. The name may not be registered
+   * (e.g. a plan pointing at an adapter that is not installed); callers check
+   * with get().
+   */
+  function select({ plan, phoneNumber }) {
+    if (plan?.provider) return plan.provider;
+    const msisdn = toMsisdn(phoneNumber);
+    const route = prefixRoutes.find(r => msisdn.startsWith(r.prefix));
+    return route ? route.provider : defaultProvider;
+  }
+
+  function redactHeaders(headers, provider) {
+    const copy = { ...headers };
+    for (const name of [...ALWAYS_REDACTED_HEADERS, ...(provider?.secretHeaders || [])]) {
+      if (copy[name]) copy[name] = '[redacted]';
+    }
+    return copy;
+  }
+
+  return {
+    get,
+    select,
+    redactHeaders,
+    list: () => [...providers.values()].map(p => ({ name: p.name, configured: p.isConfigured() })),
+  };
+}
+
+module.exports = {
+  createProviderRegistry,
+  toMsisdn,
+};
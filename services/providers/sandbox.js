@@ -0,0 +1,81 @@
+// Sandbox adapter for local development. No money moves: initiate() only
+// records the order, and settle() delivers a signed callback to
+// /api/webhooks/sandbox over HTTP, so sandbox payments travel the same
+// verify -> parse -> event log -> fulfil path as real gateway callbacks.
+// With PAYMENT_SANDBOX_AUTO_COMPLETE_SECONDS set, orders settle as COMPLETED
+// on their own after that delay.
+const crypto = require('crypto');
+const axios = require('axios');
+
+function createSandboxProvider({ JWT_SECRET }) {
+  // Derived from config so every instance accepts callbacks any of them signed.
+  const secret = `${JWT_SECRET}:payment-sandbox`;
+  const statuses = new Map();
+  const autoCompleteSeconds = Number(process.env.PAYMENT_SANDBOX_AUTO_COMPLETE_SECONDS || 0);
+
+  function callbackUrl() {
+    return process.env.PAYMENT_SANDBOX_CALLBACK_URL
+      || `http://127.0.0.1:${process.env.PORT || 3000}/api/webhooks/sandbox`;
+  }
+
+  function sign(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  /** Simulates the gateway's callback for an order. */
+  async function settle(orderId, paymentStatus) {
+    statuses.set(orderId, paymentStatus);
+    const body = JSON.stringify({ order_id: orderId, payment_status: paymentStatus });
+    const response = await axios.post(callbackUrl(), body, {
+      headers: { 'Content-Type': 'application/json', 'x-sandbox-signature': sign(body) },
+      timeout: 15_000,
+      validateStatus: () => true,
+    });
+    return { httpStatus: response.status, response: response.data };
+  }
+
+  async function initiate(tx) {
+    statuses.set(tx.orderId, 'PENDING');
+    if (autoCompleteSeconds > 0) {
+      setTimeout(() => {
+        settle(tx.orderId, 'COMPLETED').catch(err => console.error(`Sandbox auto-complete failed for ${tx.orderId}:`, err.message));
+      }, autoCompleteSeconds * 1000);
+    }
+    console.log(`🧪 Sandbox payment created for ${tx.orderId} (${tx.price} ${tx.currency || ''})`);
+    return { reference: `sandbox-${tx.orderId}` };
+  }
+
+  function verifyWebhook(req) {
+    const signature = req.get('x-sandbox-signature');
+    if (!signature) return { ok: false, reason: 'Missing x-sandbox-signature header' };
+    const expected = Buffer.from(sign(req.rawBody || ''));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+      ? { ok: true }
+      : { ok: false, reason: 'Invalid signature' };
+  }
+
+  function parseCallback(req) {
+    const { order_id, payment_status } = req.body || {};
+    return { orderId: order_id, paymentStatus: payment_status };
+  }
+
+  async function queryStatus(tx) {
+    return statuses.get(tx.orderId) || null;
+  }
+
+  return {
+    name: 'sandbox',
+    secretHeaders: ['x-sandbox-signature'],
+    isConfigured: () => true,
+    initiate,
+    verifyWebhook,
+    parseCallback,
+    queryStatus,
+    settle,
+  };
+}
+
+module.exports = {
+  createSandboxProvider,
+};
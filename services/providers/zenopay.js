@@ -0,0 +1,121 @@
+// ZenoPay adapter (Tanzanian mobile money via ZenoPay).
+// Webhooks carry our API key back in the x-api-key header. When
+// ZENOPAY_WEBHOOK_SECRET is set, that value is expected instead, and an
+// x-zenopay-signature header (hex HMAC-SHA256 of the raw body) is accepted too.
+const crypto = require('crypto');
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 15_000;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// ZenoPay expects local 07XXXXXXXX / 06XXXXXXXX numbers.
+function formatPhone(phone) {
+  if (!phone) return '';
+  const digits = phone.replace(/\D/g, '');
+  if (digits.startsWith('255') && digits.length === 12) {
+    return '0' + digits.substring(3);
+  }
+  if ((digits.startsWith('7') || digits.startsWith('6')) && digits.length === 9) {
+    return '0' + digits;
+  }
+  if (digits.startsWith('07') && digits.length === 10) {
+    return digits;
+  }
+  return phone;
+}
+
+function isConfigured() {
+  return Boolean(process.env.ZENOPAY_API_URL && process.env.ZENOPAY_API_KEY);
+}
+
+async function initiate(tx, { callbackUrl }) {
+  const url = process.env.ZENOPAY_API_URL;
+  const apiKey = process.env.ZENOPAY_API_KEY;
+  if (!url || !apiKey) throw new Error('ZENOPAY credentials missing');
+
+  const response = await axios.post(url, {
+    order_id: tx.orderId,
+    buyer_name: tx.name,
+    buyer_phone: formatPhone(tx.phoneNumber),
+    buyer_email: 'noemail@burudani.app',
+    amount: tx.price,
+    webhook_url: callbackUrl,
+  }, {
+    headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
+    timeout: REQUEST_TIMEOUT_MS,
+    validateStatus: () => true,
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`ZenoPay returned HTTP ${response.status}: ${JSON.stringify(response.data)}`);
+  }
+  return { reference: response.data?.reference || response.data?.transid || '' };
+}
+
+/** @returns {{ ok: boolean, reason?: string }} */
+function verifyWebhook(req) {
+  const secret = process.env.ZENOPAY_WEBHOOK_SECRET || process.env.ZENOPAY_API_KEY;
+  if (!secret) return { ok: false, reason: 'Webhook secret not configured' };
+
+  const signature = req.get('x-zenopay-signature');
+  if (signature) {
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+    return safeEqual(signature.toLowerCase(), expected) ? { ok: true } : { ok: false, reason: 'Invalid signature' };
+  }
+
+  const apiKey = req.get('x-api-key');
+  if (!apiKey) return { ok: false, reason: 'Missing x-api-key header' };
+  return safeEqual(apiKey, secret) ? { ok: true } : { ok: false, reason: 'Invalid x-api-key' };
+}
+
+function parseCallback(req) {
+  const { order_id, payment_status, reference } = req.body || {};
+  return {
+    orderId: order_id,
+    paymentStatus: payment_status ? String(payment_status).toUpperCase() : undefined,
+    reference,
+  };
+}
+
+/**
+ * Asks the gateway for an order's payment status (ZENOPAY_STATUS_URL, called
+ * as GET ?order_id=...). Point it at a local stub to test reconciliation.
+ * @returns {Promise<string|null>} upper-cased payment_status, or null when the gateway has no record.
+ */
+async function queryStatus(tx) {
+  const url = process.env.ZENOPAY_STATUS_URL;
+  const apiKey = process.env.ZENOPAY_API_KEY;
+  if (!url || !apiKey) throw new Error('ZENOPAY_STATUS_URL or ZENOPAY_API_KEY missing');
+
+  const response = await axios.get(url, {
+    params: { order_id: tx.orderId },
+    headers: { 'x-api-key': apiKey },
+    timeout: REQUEST_TIMEOUT_MS,
+    validateStatus: () => true,
+  });
+  if (response.status === 404) return null;
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Order status API returned HTTP ${response.status}`);
+  }
+
+  // { result, data: [{ order_id, payment_status, ... }] }
+  const data = response.data?.data;
+  const record = Array.isArray(data) ? data.find(d => d.order_id === tx.orderId) || data[0] : data;
+  return record?.payment_status ? String(record.payment_status).toUpperCase() : null;
+}
+
+module.exports = {
+  name: 'zenopay',
+  secretHeaders: ['x-api-key', 'x-zenopay-signature'],
+  isConfigured,
+  initiate,
+  verifyWebhook,
+  parseCallback,
+  queryStatus,
+  formatPhone,
+};
@@ -0,0 +1,108 @@
+// FCM HTTP v1 push transport.
+// Authenticates with a Google service account (JSON key inline or as a file):
+// a signed JWT assertion is exchanged for an OAuth2 access token, cached
+// until shortly before it expires. HTTP v1 takes one message per request, so
+// a batch is sent with a few requests in flight at a time.
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const REQUEST_TIMEOUT_MS = 15_000;
+const CONCURRENCY = 10;
+// FCM error codes meaning the registration token will never work again.
+const INVALID_TOKEN_ERRORS = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+
+function loadServiceAccount({ serviceAccountJson, serviceAccountFile }) {
+  if (serviceAccountJson) return JSON.parse(serviceAccountJson);
+  if (serviceAccountFile) return JSON.parse(fs.readFileSync(serviceAccountFile, 'utf8'));
+  throw new Error('FCM_SERVICE_ACCOUNT_JSON or FCM_SERVICE_ACCOUNT_FILE is required for PUSH_TRANSPORT=fcm');
+}
+
+/** FCM data payloads only take string values. */
+function stringValues(data = {}) {
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]));
+}
+
+function createFcmTransport(options) {
+  const account = loadServiceAccount(options);
+  const sendUrl = `https://fcm.googleapis.com/v1/projects/${account.project_id}/messages:send`;
+  let cachedToken = null;
+
+  async function accessToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now() + 60_000) return cachedToken.value;
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      { iss: account.client_email, scope: SCOPE, aud: TOKEN_URL, iat: now, exp: now + 3600 },
+      account.private_key,
+      { algorithm: 'RS256' }
+    );
+    const response = await axios.post(TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion,
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+    if (response.status !== 200 || !response.data?.access_token) {
+      throw new Error(`FCM auth failed with HTTP ${response.status}`);
+    }
+
+    cachedToken = {
+      value: response.data.access_token,
+      expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000,
+    };
+    return cachedToken.value;
+  }
+
+  async function sendOne({ token, title, body, data }, bearer) {
+    try {
+      const response = await axios.post(sendUrl, {
+        message: { token, notification: { title, body }, data: stringValues(data) },
+      }, {
+        headers: { Authorization: `Bearer ${bearer}`, 'Content-Type': 'application/json' },
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true,
+      });
+      if (response.status >= 200 && response.status < 300) return { token, ok: true };
+
+      const error = response.data?.error || {};
+      const errorCode = (error.details || []).find(d => d.errorCode)?.errorCode || error.status || `HTTP ${response.status}`;
+      return {
+        token,
+        ok: false,
+        invalidToken: INVALID_TOKEN_ERRORS.includes(errorCode) || response.status === 404,
+        error: errorCode,
+      };
+    } catch (error) {
+      return { token, ok: false, error: error.message };
+    }
+  }
+
+  async function sendBatch(messages) {
+    const bearer = await accessToken();
+    const results = new Array(messages.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < messages.length) {
+        const index = next++;
+        results[index] = await sendOne(messages[index], bearer);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, messages.length) }, worker));
+    return results;
+  }
+
+  return {
+    name: 'fcm',
+    maxBatchSize: 500,
+    sendBatch,
+  };
+}
+
+module.exports = {
+  createFcmTransport,
+};
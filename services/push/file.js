@@ -0,0 +1,27 @@
+// File push transport: appends { token, title, body, data, at } JSON lines.
+// Tokens starting with "invalid" are reported as unregistered, so token
+// pruning can be exercised locally.
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileTransport(filePath) {
+  const target = path.resolve(filePath);
+
+  async function sendBatch(messages) {
+    const at = new Date().toISOString();
+    await fs.appendFile(target, messages.map(message => JSON.stringify({ ...message, at }) + '\n').join(''));
+    return messages.map(({ token }) => (token.startsWith('invalid')
+      ? { token, ok: false, invalidToken: true, error: 'UNREGISTERED' }
+      : { token, ok: true }));
+  }
+
+  return {
+    name: 'file',
+    maxBatchSize: 500,
+    sendBatch,
+  };
+}
+
+module.exports = {
+  createFileTransport,
+};
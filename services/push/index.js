@@ -0,0 +1,35 @@
+// Push transport.
+// A transport is a plain object:
+//   name
+//   maxBatchSize             - most messages sendBatch() takes at once
+//   sendBatch(messages)      - messages are { token, title, body, data }; resolves
+//                              one { token, ok, invalidToken, error } per message
+// sendBatch() only throws when the whole batch could not be attempted (e.g. bad
+// credentials); per-device failures are reported in the results.
+// PUSH_TRANSPORT picks one:
+//   log  - prints each message (default, local development)
+//   file - appends a JSON line per message to PUSH_FILE_PATH
+//   fcm  - Firebase Cloud Messaging HTTP v1 with a service account
+const logTransport = require('./log');
+const { createFileTransport } = require('./file');
+const { createFcmTransport } = require('./fcm');
+
+function createPushTransport(name = process.env.PUSH_TRANSPORT || 'log') {
+  switch (name) {
+    case 'log':
+      return logTransport;
+    case 'file':
+      return createFileTransport(process.env.PUSH_FILE_PATH || 'push-outbox.log');
+    case 'fcm':
+      return createFcmTransport({
+        serviceAccountJson: process.env.FCM_SERVICE_ACCOUNT_JSON,
+        serviceAccountFile: process.env.FCM_SERVICE_ACCOUNT_FILE || process.env.GOOGLE_APPLICATION_CREDENTIALS,
+      });
+    default:
+      throw new Error(`Unknown PUSH_TRANSPORT: ${name}`);
+  }
+}
+
+module.exports = {
+  createPushTransport,
+};
@@ -0,0 +1,13 @@
+// Log push transport: prints messages instead of sending them.
+async function sendBatch(messages) {
+  return messages.map(({ token, title, body }) => {
+    console.log(`🔔 [push to ${token.slice(0, 12)}…] ${title}: ${body}`);
+    return { token, ok: true };
+  });
+}
+
+module.exports = {
+  name: 'log',
+  maxBatchSize: 500,
+  sendBatch,
+};
@@ -0,0 +1,128 @@
+// Pending transaction reconciler.
+// Every PAYMENT_RECONCILE_INTERVAL_MINUTES, PENDING orders older than
+// PAYMENT_RECONCILE_AFTER_MINUTES are looked up with their provider's
+// queryStatus(). A final status is applied through the same event path as the
+// webhook (and logged in WebhookEvent with source 'reconciler'); orders still
+// pending after PAYMENT_PENDING_TIMEOUT_MINUTES are marked EXPIRED. A payment
+// that lands after expiry is still honoured when its webhook arrives.
+const WebhookEvent = require('../models/WebhookEvent');
+
+const MINUTE_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+
+function createReconcilerService({ Transaction, payments, providers }) {
+  const intervalMinutes = Number(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES ?? 5);
+  const reconcileAfterMinutes = Number(process.env.PAYMENT_RECONCILE_AFTER_MINUTES || 10);
+  const pendingTimeoutMinutes = Number(process.env.PAYMENT_PENDING_TIMEOUT_MINUTES || 60);
+  const state = { running: false, lastRunAt: null, lastRunChecked: 0, lastRunApplied: 0, lastRunExpired: 0 };
+
+  async function applyThroughEventLog(tx, paymentStatus, payload) {
+    const event = new WebhookEvent({
+      provider: tx.provider || 'zenopay',
+      source: 'reconciler',
+      orderId: tx.orderId,
+      paymentStatus,
+      payload,
+      verified: true,
+    });
+    return payments.processWebhookEvent(event);
+  }
+
+  /**
+   * Looks one transaction up with its provider and applies the result.
+   * @returns {Promise<{ orderId: string, gatewayStatus: string|null, lookupError: string, applied: object|null }>}
+   */
+  async function recheck(tx) {
+    const now = new Date();
+    let gatewayStatus = null;
+    let lookupError = '';
+    try {
+      const provider = providers.get(tx.provider || 'zenopay');
+      if (!provider) throw new Error(`Payment provider ${tx.provider} is not available`);
+      gatewayStatus = await provider.queryStatus(tx);
+    } catch (error) {
+      lookupError = error.message;
+    }
+
+    await Transaction.updateOne(
+      { _id: tx._id },
+      { lastReconciledAt: now, gatewayStatus: gatewayStatus || '' }
+    );
+
+    let event = null;
+    if (gatewayStatus && gatewayStatus !== 'PENDING') {
+      event = await applyThroughEventLog(tx, gatewayStatus, { order_id: tx.orderId, payment_status: gatewayStatus });
+    } else if (tx.status === 'PENDING' && tx.createdAt < new Date(now.getTime() - pendingTimeoutMinutes * MINUTE_MS)) {
+      event = await applyThroughEventLog(tx, 'EXPIRED', {
+        order_id: tx.orderId,
+        payment_status: 'EXPIRED',
+        reason: `No final status after ${pendingTimeoutMinutes} minutes`,
+      });
+    }
+
+    return {
+      orderId: tx.orderId,
+      gatewayStatus,
+      lookupError,
+      applied: event && { paymentStatus: event.paymentStatus, status: event.status, result: event.result, error: event.error },
+    };
+  }
+
+  async function runOnce() {
+    if (state.running) return null;
+    state.running = true;
+    try {
+      const staleBefore = new Date(Date.now() - reconcileAfterMinutes * MINUTE_MS);
+      const pending = await Transaction.find({ status: 'PENDING', createdAt: { $lt: staleBefore } })
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE);
+
+      let applied = 0;
+      let expired = 0;
+      for (const tx of pending) {
+        try {
+          const result = await recheck(tx);
+          if (result.applied?.status === 'processed') {
+            applied += 1;
+            if (result.applied.paymentStatus === 'EXPIRED') expired += 1;
+          }
+        } catch (error) {
+          console.error(`Reconcile failed for ${tx.orderId}:`, error.message);
+        }
+      }
+
+      state.lastRunAt = new Date();
+      state.lastRunChecked = pending.length;
+      state.lastRunApplied = applied;
+      state.lastRunExpired = expired;
+      if (pending.length > 0) {
+        console.log(`💳 Reconciled ${pending.length} pending transaction(s): ${applied} updated, ${expired} expired`);
+      }
+      return state;
+    } finally {
+      state.running = false;
+    }
+  }
+
+  function start() {
+    if (intervalMinutes <= 0) {
+      console.log('Payment reconciler disabled (PAYMENT_RECONCILE_INTERVAL_MINUTES=0)');
+      return;
+    }
+    const run = () => runOnce().catch(err => console.error('Payment reconcile run failed:', err.message));
+    setTimeout(run, 90_000);
+    setInterval(run, intervalMinutes * MINUTE_MS);
+    console.log(`💳 Payment reconciler started (every ${intervalMinutes} min, expiry after ${pendingTimeoutMinutes} min)`);
+  }
+
+  return {
+    recheck,
+    runOnce,
+    start,
+    status: () => ({ ...state, intervalMinutes, reconcileAfterMinutes, pendingTimeoutMinutes }),
+  };
+}
+
+module.exports = {
+  createReconcilerService,
+};
@@ -0,0 +1,9 @@
+// Console SMS transport: prints messages instead of sending them.
+async function send(to, message) {
+  console.log(`📱 [SMS to ${to}] ${message}`);
+}
+
+module.exports = {
+  name: 'console',
+  send,
+};
@@ -0,0 +1,21 @@
+// File SMS transport: appends { to, message, at } JSON lines, so local tools
+// and scripts can read codes without a real gateway.
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileTransport(filePath) {
+  const target = path.resolve(filePath);
+
+  async function send(to, message) {
+    await fs.appendFile(target, JSON.stringify({ to, message, at: new Date().toISOString() }) + '\n');
+  }
+
+  return {
+    name: 'file',
+    send,
+  };
+}
+
+module.exports = {
+  createFileTransport,
+};
@@ -0,0 +1,31 @@
+// HTTP SMS transport: hands each message to an SMS gateway or relay.
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 15_000;
+
+function createHttpTransport({ url, token, sender }) {
+  async function send(to, message) {
+    if (!url) throw new Error('SMS_HTTP_URL missing');
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await axios.post(url, { to, message, sender }, {
+      headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`SMS gateway returned HTTP ${response.status}`);
+    }
+  }
+
+  return {
+    name: 'http',
+    send,
+  };
+}
+
+module.exports = {
+  createHttpTransport,
+};
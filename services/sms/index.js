@@ -0,0 +1,41 @@
+// SMS transport.
+// A transport is a plain object { name, send(to, message) } where `to` is a
+// 255XXXXXXXXX number; send() resolves once the message is accepted or throws.
+// SMS_TRANSPORT picks one:
+//   console - logs the message (default, local development only)
+//   file    - appends a JSON line per message to SMS_FILE_PATH
+//   http    - POSTs { to, message, sender } to SMS_HTTP_URL with SMS_HTTP_TOKEN
+//             as a bearer token, for a gateway or relay in production
+// Messages carry restore codes, so with NODE_ENV=production the console
+// transport is refused and SMS_TRANSPORT must be set: startup fails rather
+// than writing working codes to the server logs.
+const consoleTransport = require('./console');
+const { createFileTransport } = require('./file');
+const { createHttpTransport } = require('./http');
+
+function createSmsTransport(name = process.env.SMS_TRANSPORT) {
+  const production = process.env.NODE_ENV === 'production';
+  if (!name) {
+    if (production) throw new Error('SMS_TRANSPORT must be set in production (file or http)');
+    name = 'console';
+  }
+  switch (name) {
+    case 'console':
+      if (production) throw new Error('SMS_TRANSPORT=console would log restore codes; use file or http in production');
+      return consoleTransport;
+    case 'file':
+      return createFileTransport(process.env.SMS_FILE_PATH || 'sms-outbox.log');
+    case 'http':
+      return createHttpTransport({
+        url: process.env.SMS_HTTP_URL,
+        token: process.env.SMS_HTTP_TOKEN,
+        sender: process.env.SMS_SENDER_ID,
+      });
+    default:
+      throw new Error(`Unknown SMS_TRANSPORT: ${name}`);
+  }
+}
+
+module.exports = {
+  createSmsTransport,
+};
@@ -0,0 +1,205 @@
+// Background stream health monitor.
+// Every STREAM_HEALTH_INTERVAL_MINUTES each active channel's playbackUrl is
+// fetched with its playbackHeaders, the HLS/DASH manifest is parsed and a
+// segment (or DASH init segment) is requested. After
+// STREAM_HEALTH_FAILOVER_AFTER consecutive failures a channel that has a
+// playbackUrlLowQuality is put into failover, and the public channel endpoints
+// serve the low-quality source until the primary passes a probe again.
+const axios = require('axios');
+const StreamHealth = require('../models/StreamHealth');
+const { detectFormat, parseHlsPlaylist, dashProbeUrls } = require('./manifests');
+
+const HISTORY_SIZE = 50;
+const REQUEST_TIMEOUT_MS = 10_000;
+
+function isSuccess(status) {
+  return status >= 200 && status < 300;
+}
+
+function headersOf(channel) {
+  const headers = channel.playbackHeaders || {};
+  return headers instanceof Map ? Object.fromEntries(headers) : { ...headers };
+}
+
+async function fetchManifest(url, headers) {
+  const response = await axios.get(url, {
+    headers,
+    timeout: REQUEST_TIMEOUT_MS,
+    responseType: 'text',
+    transformResponse: data => data,
+    maxContentLength: 5 * 1024 * 1024,
+    validateStatus: () => true,
+  });
+  // Follow redirects for relative URI resolution.
+  const finalUrl = response.request?.res?.responseUrl || url;
+  return { status: response.status, body: response.data, url: finalUrl };
+}
+
+// Only the response status matters; the body stream is dropped unread.
+async function checkSegment(url, headers) {
+  const response = await axios.get(url, {
+    headers: { ...headers, Range: 'bytes=0-1023' },
+    timeout: REQUEST_TIMEOUT_MS,
+    responseType: 'stream',
+    validateStatus: () => true,
+  });
+  response.data.destroy();
+  return response.status;
+}
+
+/**
+ * Probes one channel's primary source.
+ * @returns {Promise<{ ok: boolean, latencyMs: number, httpStatus?: number, format: string, segmentsChecked: number, error: string }>}
+ */
+async function probeChannel(channel) {
+  const headers = headersOf(channel);
+  const started = Date.now();
+  const result = { checkedAt: new Date(), ok: false, format: '', segmentsChecked: 0, error: '' };
+
+  try {
+    const manifest = await fetchManifest(channel.playbackUrl, headers);
+    result.latencyMs = Date.now() - started;
+    result.httpStatus = manifest.status;
+    if (!isSuccess(manifest.status)) throw new Error(`Manifest returned HTTP ${manifest.status}`);
+
+    const format = detectFormat(manifest.body);
+    if (!format) throw new Error('Response is not an HLS or DASH manifest');
+    result.format = format;
+
+    let probeUrls;
+    if (format === 'hls') {
+      let playlist = parseHlsPlaylist(manifest.body, manifest.url);
+      if (playlist.isMaster) {
+        if (playlist.variants.length === 0) throw new Error('Master playlist has no variants');
+        const media = await fetchManifest(playlist.variants[0], headers);
+        if (!isSuccess(media.status)) throw new Error(`Variant playlist returned HTTP ${media.status}`);
+        playlist = parseHlsPlaylist(media.body, media.url);
+      }
+      if (playlist.segments.length === 0) throw new Error('Media playlist has no segments');
+      // The newest segment is the one a live player would request first.
+      probeUrls = [playlist.initSegment, playlist.segments[playlist.segments.length - 1]].filter(Boolean);
+    } else {
+      probeUrls = dashProbeUrls(manifest.body, manifest.url);
+    }
+
+    for (const url of probeUrls) {
+      const status = await checkSegment(url, headers);
+      if (!isSuccess(status)) throw new Error(`Segment returned HTTP ${status}: ${url}`);
+      result.segmentsChecked += 1;
+    }
+    result.ok = true;
+  } catch (error) {
+    result.error = error.message;
+    if (result.latencyMs === undefined) result.latencyMs = Date.now() - started;
+  }
+
+  return result;
+}
+
+function createStreamHealthService({ Channel }) {
+  const intervalMinutes = Number(process.env.STREAM_HEALTH_INTERVAL_MINUTES ?? 5);
+  const failoverAfter = Number(process.env.STREAM_HEALTH_FAILOVER_AFTER || 3);
+  const slowMs = Number(process.env.STREAM_HEALTH_SLOW_MS || 3000);
+  const concurrency = Number(process.env.STREAM_HEALTH_CONCURRENCY || 4);
+  const state = { running: false, lastRunAt: null, lastRunDurationMs: null, lastRunChannels: 0 };
+
+  async function record(channel, result) {
+    const health = await StreamHealth.findOne({ channelId: channel.channelId })
+      || new StreamHealth({ channelId: channel.channelId });
+    const wasFailover = health.failoverActive;
+
+    health.lastCheckedAt = result.checkedAt;
+    health.lastLatencyMs = result.latencyMs;
+    health.lastError = result.error;
+
+    if (result.ok) {
+      health.consecutiveFailures = 0;
+      health.lastSuccessAt = result.checkedAt;
+      health.status = result.latencyMs > slowMs ? 'degraded' : 'healthy';
+      health.failoverActive = false;
+    } else {
+      health.consecutiveFailures += 1;
+      const failed = health.consecutiveFailures >= failoverAfter;
+      health.status = failed ? 'down' : 'degraded';
+      health.failoverActive = failed && Boolean(channel.playbackUrlLowQuality);
+    }
+
+    health.history.push(result);
+    if (health.history.length > HISTORY_SIZE) {
+      health.history.splice(0, health.history.length - HISTORY_SIZE);
+    }
+    await health.save();
+
+    if (health.failoverActive !== wasFailover) {
+      console.log(health.failoverActive
+        ? `⚠️ Stream failover ON for ${channel.channelId}: ${result.error}`
+        : `✅ Stream failover OFF for ${channel.channelId}: primary source recovered`);
+    }
+    return health;
+  }
+
+  async function checkChannel(channel) {
+    return record(channel, await probeChannel(channel));
+  }
+
+  async function runOnce() {
+    if (state.running) return null;
+    state.running = true;
+    const started = Date.now();
+    try {
+      const channels = await Channel.find({ status: true }).lean();
+      const queue = [...channels];
+      const worker = async () => {
+        while (queue.length > 0) {
+          const channel = queue.shift();
+          try {
+            await checkChannel(channel);
+          } catch (error) {
+            console.error(`Stream health check failed for ${channel.channelId}:`, error.message);
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+      const allIds = await Channel.distinct('channelId');
+      await StreamHealth.deleteMany({ channelId: { $nin: allIds } });
+
+      state.lastRunAt = new Date();
+      state.lastRunDurationMs = Date.now() - started;
+      state.lastRunChannels = channels.length;
+      return state;
+    } finally {
+      state.running = false;
+    }
+  }
+
+  async function failoverChannelIds(channelIds) {
+    const rows = await StreamHealth.find({ channelId: { $in: channelIds }, failoverActive: true })
+      .select('channelId').lean();
+    return new Set(rows.map(row => row.channelId));
+  }
+
+  function start() {
+    if (intervalMinutes <= 0) {
+      console.log('Stream health monitor disabled (STREAM_HEALTH_INTERVAL_MINUTES=0)');
+      return;
+    }
+    const run = () => runOnce().catch(err => console.error('Stream health run failed:', err.message));
+    setTimeout(run, 60_000);
+    setInterval(run, intervalMinutes * 60 * 1000);
+    console.log(`🩺 Stream health monitor started (every ${intervalMinutes} min, failover after ${failoverAfter} failures)`);
+  }
+
+  return {
+    checkChannel,
+    runOnce,
+    failoverChannelIds,
+    start,
+    status: () => ({ ...state, intervalMinutes, failoverAfter, slowMs }),
+  };
+}
+
+module.exports = {
+  createStreamHealthService,
+  probeChannel,
+};
@@ -0,0 +1,233 @@
+// Concurrent stream and device limits.
+// Each account may register up to maxDevices installations and watch on up to
+// maxStreams of them at once. Limits come from the plan that granted the
+// user's running pass (User.maxStreams / maxDevices, set on purchase), falling
+// back to MAX_CONCURRENT_STREAMS / MAX_DEVICES when the plan leaves them unset;
+// 0 means unlimited in either place. Streams are
+// StreamSession documents kept alive by heartbeats; a device starting a new
+// stream replaces its own previous one. The stream URLs and license tokens of
+// a session stop working once it has ended (see isSessionLive).
+const Device = require('../models/Device');
+const StreamSession = require('../models/StreamSession');
+
+// Proxy segment requests arrive every few seconds per viewer, so liveness is
+// cached briefly; an ended session is cut off within this window.
+const LIVE_CACHE_MS = 10_000;
+const LIVE_CACHE_MAX_ENTRIES = 50_000;
+
+/** The more generous of two limits: 0 is unlimited, null/undefined unset. */
+function higherLimit(a, b) {
+  if (a == null) return b ?? undefined;
+  if (b == null) return a;
+  if (a === 0 || b === 0) return 0;
+  return Math.max(a, b);
+}
+
+/** Admin/app view of a session, labelled with its device. */
+function sessionSummary(session, devices) {
+  const device = devices.find(d => d.installationId === session.installationId);
+  return {
+    id: String(session._id),
+    resourceType: session.resourceType || 'channel',
+    resourceId: session.resourceId || session.channelId,
+    channelId: session.channelId,
+    installationId: session.installationId,
+    deviceName: device?.name || '',
+    platform: device?.platform || '',
+    startedAt: session.startedAt,
+    lastHeartbeatAt: session.lastHeartbeatAt,
+  };
+}
+
+function createStreamLimitService({ entitlements }) {
+  const defaultMaxStreams = Number(process.env.MAX_CONCURRENT_STREAMS ?? 2);
+  const defaultMaxDevices = Number(process.env.MAX_DEVICES ?? 5);
+  const sessionTimeoutSeconds = Number(process.env.STREAM_SESSION_TIMEOUT_SECONDS || 90);
+  const liveCache = new Map();
+
+  function heartbeatCutoff(now = new Date()) {
+    return new Date(now.getTime() - sessionTimeoutSeconds * 1000);
+  }
+
+  /** Plan limits while the user has a running pass, the defaults otherwise. */
+  function limitsFor(user, now = new Date()) {
+    const grants = entitlements.userGrants(user, now);
+    const subscribed = grants.all || grants.bundles.size > 0;
+    return {
+      maxStreams: subscribed && user.maxStreams != null ? user.maxStreams : defaultMaxStreams,
+      maxDevices: subscribed && user.maxDevices != null ? user.maxDevices : defaultMaxDevices,
+    };
+  }
+
+  // Closes sessions whose heartbeats stopped so they stop counting and age out.
+  async function closeTimedOut(filter) {
+    await StreamSession.updateMany(
+      { ...filter, endedAt: null, lastHeartbeatAt: { $lt: heartbeatCutoff() } },
+      { endedAt: new Date(), endReason: 'timeout' }
+    );
+  }
+
+  async function activeSessions(userId) {
+    await closeTimedOut({ user: userId });
+    return StreamSession.find({ user: userId, endedAt: null }).sort({ startedAt: 1 }).lean();
+  }
+
+  function listDevices(userId) {
+    return Device.find({ user: userId }).sort({ lastSeenAt: -1 }).lean();
+  }
+
+  /** Records an installation without a limit check (its own device-login). */
+  async function touchDevice(user, { installationId, deviceId }) {
+    if (!installationId) return;
+    await Device.updateOne(
+      { user: user._id, installationId },
+      { deviceId, lastSeenAt: new Date() },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Returns the user's device for this installation, registering it when
+   * there is room. Resolves null when the device limit is reached.
+   */
+  async function registerDevice(user, { installationId, deviceId, name, platform }, limits) {
+    const update = { lastSeenAt: new Date() };
+    if (deviceId) update.deviceId = deviceId;
+    if (name) update.name = name;
+    if (platform) update.platform = platform;
+
+    const existing = await Device.findOneAndUpdate({ user: user._id, installationId }, update, { new: true });
+    if (existing) return existing;
+
+    if (limits.maxDevices > 0 && await Device.countDocuments({ user: user._id }) >= limits.maxDevices) {
+      return null;
+    }
+    try {
+      return await Device.create({ user: user._id, installationId, ...update });
+    } catch (error) {
+      if (error.code === 11000) return Device.findOne({ user: user._id, installationId });
+      throw error;
+    }
+  }
+
+  /**
+   * Opens a stream session for the user on one installation, watching a
+   * channel, content item or episode ("<seriesId>/<episodeId>").
+   * @returns {Promise<{ session?: object, limits: object, code?: 'DEVICE_LIMIT'|'STREAM_LIMIT', devices?: object[], sessions?: object[] }>}
+   */
+  async function startSession(user, { installationId, deviceId, deviceName, platform, resourceType = 'channel', resourceId, ip, userAgent }) {
+    const limits = limitsFor(user);
+
+    const device = await registerDevice(user, { installationId, deviceId, name: deviceName, platform }, limits);
+    if (!device) {
+      return { code: 'DEVICE_LIMIT', limits, devices: await listDevices(user._id) };
+    }
+
+    const now = new Date();
+    await StreamSession.updateMany(
+      { user: user._id, installationId, endedAt: null },
+      { endedAt: now, endReason: 'replaced' }
+    );
+
+    const session = await StreamSession.create({
+      user: user._id,
+      installationId,
+      resourceType,
+      resourceId,
+      channelId: resourceType === 'channel' ? resourceId : undefined,
+      startedAt: now,
+      lastHeartbeatAt: now,
+      ip,
+      userAgent,
+    });
+
+    // Counted after the insert, so of two devices starting at once at least
+    // the later one sees both sessions; over the limit, this one is withdrawn
+    // again (both may be, which errs on the side of the limit).
+    const active = await activeSessions(user._id);
+    if (limits.maxStreams > 0 && active.length > limits.maxStreams) {
+      await StreamSession.deleteOne({ _id: session._id });
+      return {
+        code: 'STREAM_LIMIT',
+        limits,
+        sessions: active.filter(other => String(other._id) !== String(session._id)),
+      };
+    }
+    return { session, limits };
+  }
+
+  /** Whether a session of this user is still open and heartbeating. */
+  async function isSessionLive(sessionId, userId) {
+    const key = `${userId}:${sessionId}`;
+    const cached = liveCache.get(key);
+    if (cached && Date.now() - cached.at < LIVE_CACHE_MS) return cached.live;
+
+    const live = Boolean(await StreamSession.exists({
+      _id: sessionId,
+      user: userId,
+      endedAt: null,
+      lastHeartbeatAt: { $gte: heartbeatCutoff() },
+    }));
+    if (liveCache.size >= LIVE_CACHE_MAX_ENTRIES) liveCache.clear();
+    liveCache.set(key, { at: Date.now(), live });
+    return live;
+  }
+
+  /** Extends a live session. Resolves null once it has ended or timed out. */
+  function heartbeat(userId, sessionId) {
+    return StreamSession.findOneAndUpdate(
+      { _id: sessionId, user: userId, endedAt: null, lastHeartbeatAt: { $gte: heartbeatCutoff() } },
+      { lastHeartbeatAt: new Date() },
+      { new: true }
+    );
+  }
+
+  function endSession(filter, reason) {
+    return StreamSession.findOneAndUpdate(
+      { ...filter, endedAt: null },
+      { endedAt: new Date(), endReason: reason },
+      { new: true }
+    );
+  }
+
+  /** Unregisters a device and stops anything it is streaming. */
+  async function removeDevice(userId, deviceId) {
+    const device = await Device.findOneAndDelete({ _id: deviceId, user: userId });
+    if (!device) return null;
+    await StreamSession.updateMany(
+      { user: userId, installationId: device.installationId, endedAt: null },
+      { endedAt: new Date(), endReason: 'device-removed' }
+    );
+    return device;
+  }
+
+  /** Unregisters every device of an account (e.g. after its purchase moved elsewhere). */
+  async function removeAllDevices(userId) {
+    const { deletedCount } = await Device.deleteMany({ user: userId });
+    await StreamSession.updateMany(
+      { user: userId, endedAt: null },
+      { endedAt: new Date(), endReason: 'device-removed' }
+    );
+    return deletedCount;
+  }
+
+  return {
+    limitsFor,
+    activeSessions,
+    listDevices,
+    touchDevice,
+    startSession,
+    heartbeat,
+    isSessionLive,
+    endSession,
+    removeDevice,
+    removeAllDevices,
+    heartbeatIntervalSeconds: Math.max(10, Math.floor(sessionTimeoutSeconds / 3)),
+  };
+}
+
+module.exports = {
+  createStreamLimitService,
+  higherLimit,
+  sessionSummary,
+};
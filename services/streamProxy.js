@@ -0,0 +1,192 @@
+// Manifest proxy.
+// Clients get a signed backend URL instead of the upstream playbackUrl. The
+// signature covers the channel and one upstream origin, and the upstream path
+// is carried verbatim after it:
+//   /api/public/proxy/<token>/live/index.m3u8  ->  https://origin/live/index.m3u8
+// so relative URIs inside manifests resolve through the proxy on their own.
+// Absolute URIs (other CDNs, absolute BaseURLs) are rewritten to signed proxy
+// URLs for their own origin. The channel's playbackHeaders are added to every
+// upstream request here and never reach the app.
+//
+// Channels in proxied mode get such a proxy URL from a playback session;
+// other channels get a signed /api/public/play/<token> URL, which redirects to
+// the upstream source once the signature, expiry and stream session check out.
+//
+// Content items and series episodes get play URLs too (t names the resource
+// type), which always redirect: VOD has no proxied mode.
+//
+// URLs issued to a logged-in viewer also name their stream session (s) and
+// are refused once it has ended (routes/streamProxy.js).
+const crypto = require('crypto');
+const { resolveUrl } = require('./manifests');
+
+const PROXY_URL_TTL_SECONDS = Number(process.env.STREAM_PROXY_URL_TTL_SECONDS || 6 * 60 * 60);
+const CHANNEL_CACHE_MS = 30_000;
+
+function isHttpUrl(value) {
+  return /^https?:\/\//i.test(String(value || '').trim());
+}
+
+function rewriteHls(body, playlistUrl, proxify) {
+  const rewrite = uri => {
+    const absolute = resolveUrl(uri, playlistUrl);
+    return isHttpUrl(absolute) ? proxify(absolute) : uri;
+  };
+
+  return String(body).split(/\r?\n/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${rewrite(uri)}"`);
+    }
+    return rewrite(trimmed);
+  }).join('\n');
+}
+
+function rewriteDash(body, mpdUrl, requestedUrl, proxify) {
+  let text = String(body)
+    .replace(/<(BaseURL|Location)([^>]*)>([^<]*)<\/\1>/g, (match, tag, attrs, value) => (
+      isHttpUrl(value) ? `<${tag}${attrs}>${proxify(value.trim())}</${tag}>` : match
+    ))
+    .replace(/\b(media|initialization|sourceURL|index)="(https?:\/\/[^"]*)"/g, (match, name, url) => `${name}="${proxify(url)}"`);
+
+  // After a redirect, or when the client's URL does not mirror the upstream
+  // path (play URLs), relative references must resolve against the final MPD
+  // location rather than the URL the client asked for.
+  const periodAt = text.search(/<Period[\s>]/);
+  const hasMpdBase = periodAt !== -1 && /<BaseURL[\s>]/.test(text.slice(0, periodAt));
+  if (mpdUrl !== requestedUrl && periodAt !== -1 && !hasMpdBase) {
+    const base = proxify(resolveUrl('./', mpdUrl));
+    text = `${text.slice(0, periodAt)}<BaseURL>${base}</BaseURL>\n${text.slice(periodAt)}`;
+  }
+  return text;
+}
+
+function createStreamProxyService({ Channel, JWT_SECRET }) {
+  const secret = `${JWT_SECRET}:stream-proxy`;
+  const channelCache = new Map();
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  // Claims: c = channelId (or the content / "<seriesId>/<episodeId>" id when
+  // t is 'content' / 'episode'), u = userId, s = stream session id, e = expiry
+  // (unix seconds), plus o = upstream origin (proxy URLs) or
+  // q = 'low'|'primary' (play URLs).
+  function issueToken(claims, expiresAt) {
+    const payload = Buffer.from(JSON.stringify({ ...claims, e: expiresAt })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  function expiry() {
+    return Math.floor(Date.now() / 1000) + PROXY_URL_TTL_SECONDS;
+  }
+
+  /** @returns {{ type: string, id: string, channelId: string|null, userId: string|null, sessionId: string|null, expiresAt: number, origin?: string, quality?: string }|null} */
+  function verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+      const { t = 'channel', c, u, s, o, q, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (!c || !(e >= Date.now() / 1000)) return null;
+      return {
+        type: t,
+        id: c,
+        channelId: t === 'channel' ? c : null,
+        userId: u || null,
+        sessionId: s || null,
+        expiresAt: e,
+        origin: o,
+        quality: q,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  function baseUrl(req) {
+    return process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  }
+
+  /** Signed proxy URL for an absolute upstream URL. */
+  function proxiedUrl(req, channelId, upstreamUrl, userId = null, expiresAt = expiry(), sessionId = null) {
+    const url = new URL(upstreamUrl);
+    const token = issueToken({ c: channelId, u: userId, s: sessionId, o: url.origin }, expiresAt);
+    return `${baseUrl(req)}/api/public/proxy/${token}${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Signed stream URL for a playback session: a proxy URL for proxied
+   * channels, otherwise a play URL that checks the grant and its stream
+   * session before redirecting to the chosen source.
+   * @returns {{ url: string, expiresAt: Date }}
+   */
+  function issuePlaybackUrl(req, channel, { userId = null, sessionId = null, lowQuality = false } = {}) {
+    const expiresAt = expiry();
+    const source = lowQuality ? channel.playbackUrlLowQuality : channel.playbackUrl;
+    const url = channel.proxyMode
+      ? proxiedUrl(req, channel.channelId, source, userId, expiresAt, sessionId)
+      : `${baseUrl(req)}/api/public/play/${issueToken({ c: channel.channelId, u: userId, s: sessionId, q: lowQuality ? 'low' : 'primary' }, expiresAt)}`;
+    return { url, expiresAt: new Date(expiresAt * 1000) };
+  }
+
+  /**
+   * Signed play URL for a content item or series episode, redirecting to its
+   * stream once the grant and its stream session check out.
+   * @param {{ type: 'content'|'episode', id: string }} resource
+   * @returns {{ url: string, expiresAt: Date }}
+   */
+  function issueVodPlaybackUrl(req, { type, id }, { userId = null, sessionId = null, lowQuality = false } = {}) {
+    const expiresAt = expiry();
+    const token = issueToken({ t: type, c: id, u: userId, s: sessionId, q: lowQuality ? 'low' : 'primary' }, expiresAt);
+    return { url: `${baseUrl(req)}/api/public/play/${token}`, expiresAt: new Date(expiresAt * 1000) };
+  }
+
+  async function loadPlayableChannel(channelId) {
+    return Channel.findOne({ channelId, status: true })
+      .select('channelId playbackUrl playbackUrlLowQuality playbackHeaders proxyMode').lean();
+  }
+
+  // Segment requests arrive every few seconds per viewer, so the channel's
+  // headers are cached briefly instead of read from Mongo each time.
+  async function loadChannel(channelId) {
+    const cached = channelCache.get(channelId);
+    if (cached && Date.now() - cached.at < CHANNEL_CACHE_MS) return cached.channel;
+
+    const channel = await Channel.findOne({ channelId, status: true, proxyMode: true })
+      .select('channelId playbackHeaders').lean();
+    channelCache.set(channelId, { at: Date.now(), channel });
+    return channel;
+  }
+
+  // Rewritten URIs inherit the grant's user, session and expiry, so
+  // refreshing a live manifest cannot extend a session past the expiry it was
+  // issued with.
+  function rewriteManifest(req, grant, format, body, manifestUrl, requestedUrl) {
+    const proxify = url => proxiedUrl(req, grant.channelId, url, grant.userId, grant.expiresAt, grant.sessionId);
+    return format === 'hls'
+      ? rewriteHls(body, manifestUrl, proxify)
+      : rewriteDash(body, manifestUrl, requestedUrl, proxify);
+  }
+
+  return {
+    verifyToken,
+    issuePlaybackUrl,
+    issueVodPlaybackUrl,
+    loadChannel,
+    loadPlayableChannel,
+    rewriteManifest,
+  };
+}
+
+module.exports = {
+  createStreamProxyService,
+  rewriteHls,
+  rewriteDash,
+};
@@ -0,0 +1,148 @@
+// Subscription expiry.
+// A user is paying while is_premium is set AND subscriptionEndDate is in the
+// future; paidUserFilter/freeUserFilter encode that for queries so counts are
+// right even between runs of the expiry job. Every
+// SUBSCRIPTION_EXPIRY_INTERVAL_MINUTES the job clears is_premium on lapsed
+// users, drops ended bundle passes and writes a SubscriptionEvent for each.
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const BATCH_SIZE = 500;
+
+/** Users with a running full premium pass at `now`. */
+function paidUserFilter(now = new Date()) {
+  return { is_premium: true, subscriptionEndDate: { $gt: now } };
+}
+
+/** Everyone else, including premium flags whose end date has passed. */
+function freeUserFilter(now = new Date()) {
+  return { $or: [{ is_premium: { $ne: true } }, { subscriptionEndDate: { $not: { $gt: now } } }] };
+}
+
+function createSubscriptionService({ User }) {
+  const intervalMinutes = Number(process.env.SUBSCRIPTION_EXPIRY_INTERVAL_MINUTES ?? 15);
+  const state = { running: false, lastRunAt: null, lastRunExpired: 0, lastRunBundlesExpired: 0 };
+
+  async function expirePremium(now) {
+    let expired = 0;
+    for (;;) {
+      const lapsed = await User.find({ is_premium: true, subscriptionEndDate: { $not: { $gt: now } } })
+        .select('subscriptionEndDate phoneNumber')
+        .limit(BATCH_SIZE)
+        .lean();
+      if (lapsed.length === 0) return expired;
+
+      for (const user of lapsed) {
+        // Re-checks the end date so a renewal that landed mid-run is kept.
+        const result = await User.updateOne(
+          { _id: user._id, is_premium: true, subscriptionEndDate: { $not: { $gt: now } } },
+          { is_premium: false }
+        );
+        if (result.modifiedCount === 0) continue;
+        if (!user.subscriptionEndDate) {
+          console.warn(`⌛ User ${user._id} was premium without a subscriptionEndDate; downgraded`);
+        }
+        await SubscriptionEvent.create({
+          user: user._id,
+          type: 'expired',
+          endedAt: user.subscriptionEndDate,
+          phoneNumber: user.phoneNumber,
+        });
+        expired += 1;
+      }
+      if (lapsed.length < BATCH_SIZE) return expired;
+    }
+  }
+
+  async function expireBundles(now) {
+    let expired = 0;
+    for (;;) {
+      const lapsed = await User.find({ bundleSubscriptions: { $elemMatch: { endDate: { $lte: now } } } })
+        .select('bundleSubscriptions phoneNumber')
+        .limit(BATCH_SIZE)
+        .lean();
+      if (lapsed.length === 0) return expired;
+
+      for (const user of lapsed) {
+        for (const pass of user.bundleSubscriptions.filter(s => s.endDate <= now)) {
+          const result = await User.updateOne(
+            { _id: user._id },
+            { $pull: { bundleSubscriptions: { bundle: pass.bundle, endDate: { $lte: now } } } }
+          );
+          if (result.modifiedCount === 0) continue;
+          await SubscriptionEvent.create({
+            user: user._id,
+            type: 'expired',
+            bundle: pass.bundle,
+            endedAt: pass.endDate,
+            phoneNumber: user.phoneNumber,
+          });
+          expired += 1;
+        }
+      }
+      if (lapsed.length < BATCH_SIZE) return expired;
+    }
+  }
+
+  async function runOnce() {
+    if (state.running) return null;
+    state.running = true;
+    try {
+      const now = new Date();
+      const expired = await expirePremium(now);
+      const bundlesExpired = await expireBundles(now);
+
+      state.lastRunAt = now;
+      state.lastRunExpired = expired;
+      state.lastRunBundlesExpired = bundlesExpired;
+      if (expired > 0 || bundlesExpired > 0) {
+        console.log(`⌛ Expired ${expired} premium subscription(s) and ${bundlesExpired} bundle pass(es)`);
+      }
+      return state;
+    } finally {
+      state.running = false;
+    }
+  }
+
+  /** Paying users whose full pass ends within the next `days` days, soonest first. */
+  function expiringQuery(days, now = new Date()) {
+    return {
+      ...paidUserFilter(now),
+      subscriptionEndDate: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+    };
+  }
+
+  /**
+   * Users whose full pass ended in the last `days` days and who have not
+   * renewed since (a renewal moves subscriptionEndDate into the future).
+   */
+  function churnedQuery(days, now = new Date()) {
+    return { subscriptionEndDate: { $gte: new Date(now.getTime() - days * DAY_MS), $lte: now } };
+  }
+
+  function start() {
+    if (intervalMinutes <= 0) {
+      console.log('Subscription expiry job disabled (SUBSCRIPTION_EXPIRY_INTERVAL_MINUTES=0)');
+      return;
+    }
+    const run = () => runOnce().catch(err => console.error('Subscription expiry run failed:', err.message));
+    setTimeout(run, 60_000);
+    setInterval(run, intervalMinutes * MINUTE_MS);
+    console.log(`⌛ Subscription expiry job started (every ${intervalMinutes} min)`);
+  }
+
+  return {
+    runOnce,
+    expiringQuery,
+    churnedQuery,
+    start,
+    status: () => ({ ...state, intervalMinutes }),
+  };
+}
+
+module.exports = {
+  createSubscriptionService,
+  paidUserFilter,
+  freeUserFilter,
+};
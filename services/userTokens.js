@@ -0,0 +1,160 @@
+// App user tokens.
+// Logins get a short-lived access token (JWT { user: { id }, sid }, lifetime
+// USER_ACCESS_TOKEN_TTL) and an opaque refresh token "<sessionId>.<secret>"
+// that is stored hashed in AuthSession and rotated on every use. Access tokens
+// are only accepted while their session is live, so logout and admin
+// revocation take effect immediately.
+//
+// Tokens issued before sessions existed (no sid) are still accepted while
+// ACCEPT_LEGACY_USER_TOKENS is not 'false', unless they predate the user's
+// tokensValidAfter (set by revokeAll) or the user is gone.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function createUserTokenService({ User, JWT_SECRET }) {
+  const accessTokenTtl = process.env.USER_ACCESS_TOKEN_TTL || '15m';
+  const refreshTokenTtlDays = Number(process.env.USER_REFRESH_TOKEN_TTL_DAYS || 60);
+  const acceptLegacyTokens = process.env.ACCEPT_LEGACY_USER_TOKENS !== 'false';
+
+  function signAccessToken(userId, sessionId) {
+    return jwt.sign({ user: { id: String(userId) }, sid: String(sessionId) }, JWT_SECRET, { expiresIn: accessTokenTtl });
+  }
+
+  function expiresInSeconds(token) {
+    const { exp, iat } = jwt.decode(token);
+    return exp - iat;
+  }
+
+  function tokenPair(session, secret) {
+    const token = signAccessToken(session.user, session._id);
+    return {
+      token,
+      refreshToken: `${session._id}.${secret}`,
+      tokenExpiresIn: expiresInSeconds(token),
+    };
+  }
+
+  /**
+   * Opens a session for the user.
+   * @returns {Promise<{ token: string, refreshToken: string, tokenExpiresIn: number }>}
+   */
+  async function issue(user, { installationId, ip, userAgent } = {}) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = await AuthSession.create({
+      user: user._id,
+      installationId,
+      refreshTokenHash: hashToken(secret),
+      expiresAt: new Date(Date.now() + refreshTokenTtlDays * DAY_MS),
+      ip,
+      userAgent,
+    });
+    return tokenPair(session, secret);
+  }
+
+  /**
+   * Swaps a refresh token for a new pair.
+   * @returns {Promise<{ status: 'ok'|'invalid'|'reused', tokens?: object }>}
+   */
+  async function refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) return { status: 'invalid' };
+
+    const session = await AuthSession.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) return { status: 'invalid' };
+
+    const presentedHash = hashToken(secret);
+    if (presentedHash === session.previousRefreshTokenHash) {
+      await revokeSession(session._id, 'reuse');
+      console.warn(`Refresh token reuse on session ${session.id} (user ${session.user}); session revoked`);
+      return { status: 'reused' };
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    // Conditional on the current hash so two concurrent refreshes cannot both win.
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        refreshTokenHash: hashToken(nextSecret),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenTtlDays * DAY_MS),
+      },
+      { new: true }
+    );
+    if (!rotated) return { status: 'invalid' };
+
+    return { status: 'ok', tokens: tokenPair(rotated, nextSecret) };
+  }
+
+  /**
+   * Verifies an access token and checks that its session (or, for legacy
+   * tokens, its user) is still valid. installationId is the installation the
+   * login was made from, never something the client claims per request.
+   * @returns {Promise<{ userId: string, sessionId: string|null, installationId: string|null }|null>}
+   */
+  async function authenticate(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch {
+      return null;
+    }
+    const userId = payload.user?.id;
+    if (!userId) return null;
+
+    if (payload.sid) {
+      const session = await AuthSession.findOne({ _id: payload.sid, user: userId, revokedAt: null })
+        .select('installationId').lean();
+      return session ? { userId, sessionId: payload.sid, installationId: session.installationId || null } : null;
+    }
+
+    if (!acceptLegacyTokens) return null;
+    const user = await User.findById(userId).select('tokensValidAfter installationId').lean();
+    if (!user) return null;
+    if (user.tokensValidAfter && payload.iat * 1000 < user.tokensValidAfter.getTime()) return null;
+    return { userId, sessionId: null, installationId: user.installationId || null };
+  }
+
+  function revokeSession(sessionId, reason) {
+    return AuthSession.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokeReason: reason });
+  }
+
+  /** Ends every session of the user, legacy tokens included. */
+  async function revokeAll(userId, reason) {
+    const { modifiedCount } = await AuthSession.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokeReason: reason }
+    );
+    // Legacy tokens carry whole-second iat values; round up so one issued
+    // in this same second is revoked too.
+    await User.updateOne({ _id: userId }, { tokensValidAfter: new Date(Math.ceil(Date.now() / 1000) * 1000) });
+    return modifiedCount;
+  }
+
+  function activeSessions(userId) {
+    return AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-refreshTokenHash -previousRefreshTokenHash')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  return {
+    issue,
+    refresh,
+    authenticate,
+    revokeSession,
+    revokeAll,
+    activeSessions,
+  };
+}
+
+module.exports = {
+  createUserTokenService,
+};